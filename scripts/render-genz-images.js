@@ -2,6 +2,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage, registerFont } from 'canvas';
+import sharp from 'sharp';
+import { createRandom, randomItem, randomSeed } from '../src/random.js';
+import { MANIFEST_VERSION, parseManifest } from '../src/manifest.js';
 
 // Get __dirname equivalent in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -14,6 +17,7 @@ const DIST_DIR = path.join(PROJECT_ROOT, 'dist');
 const FONT_PATH = path.join(PUBLIC_DIR, 'font', 'RuderPlakatLL-Regular.otf');
 const FLASHCARDS_PATH = path.join(PUBLIC_DIR, 'flashcards.json');
 const MANIFEST_PATH = path.join(PUBLIC_DIR, 'content-manifest.json');
+const CHANNELS_PATH = path.join(PUBLIC_DIR, 'channels.json');
 
 // Input directories (check dist first, then public)
 const INPUT_DIRS = [
@@ -22,6 +26,20 @@ const INPUT_DIRS = [
 ];
 const OUTPUT_DIR = path.join(PUBLIC_DIR, 'content', 'gen-z-rendered');
 
+// Responsive variants of the images the feed loads (the manifest srcs, not the
+// text renders above), recorded on each image in every channel's manifest
+const VARIANTS_DIR = path.join(PUBLIC_DIR, 'content', 'gen-z', 'variants');
+const VARIANTS_URL = '/content/gen-z/variants';
+const VARIANT_WIDTHS = [480, 800, 1200]; // Phone, phone at 2x, phone at 3x and desktop (never upscaled)
+const VARIANT_FORMATS = [
+  { type: 'image/avif', extension: 'avif', encode: image => image.avif({ quality: 50 }) },
+  { type: 'image/webp', extension: 'webp', encode: image => image.webp({ quality: 78 }) }
+];
+// No fallback variants: browsers without either format load the original src
+
+// --variants-only skips the text renders (which need the emoji CDN)
+const VARIANTS_ONLY = process.argv.includes('--variants-only');
+
 // Quality scale factor (2x for higher quality)
 const SCALE = 2;
 
@@ -51,13 +69,18 @@ const emojiCache = new Map();
 // Register the Ruder font
 registerFont(FONT_PATH, { family: 'Ruder', weight: '900' });
 
+// Seed for every random pick: --seed=<value> or SEED=<value> (random if omitted)
+// Picks are keyed by file name, so re-rendering one file gives the same result
+const SEED_ARG = process.argv.find(arg => arg.startsWith('--seed='));
+const SEED = SEED_ARG ? SEED_ARG.slice('--seed='.length) : (process.env.SEED || randomSeed());
+
 // Helper: Get random emojis (1-2)
-function getRandomEmojis() {
-  const numEmojis = Math.random() > 0.5 ? 2 : 1;
+function getRandomEmojis(key) {
+  const random = createRandom(SEED, `emojis:${key}`);
+  const numEmojis = random() > 0.5 ? 2 : 1;
   const emojis = [];
   for (let i = 0; i < numEmojis; i++) {
-    const randomIndex = Math.floor(Math.random() * GENZ_EMOJIS.length);
-    emojis.push(GENZ_EMOJIS[randomIndex]);
+    emojis.push(randomItem(GENZ_EMOJIS, random));
   }
   return emojis;
 }
@@ -323,7 +346,7 @@ async function renderImage(imagePath, flashcard, outputPath) {
 
   // Prepare the text and emojis
   const textContent = flashcard.genZ.toLowerCase();
-  const emojis = getRandomEmojis();
+  const emojis = getRandomEmojis(path.basename(outputPath));
   const words = parseTextIntoWords(textContent, emojis);
 
   // Calculate font size - BIGGER (approximately 9% of image width)
@@ -364,13 +387,12 @@ async function renderImage(imagePath, flashcard, outputPath) {
   console.log(`  Rendered: ${path.basename(outputPath)} (${outputWidth}x${outputHeight})`);
 }
 
-async function main() {
-  console.log('Gen-Z Image Renderer');
-  console.log('====================\n');
+async function renderTextImages() {
   console.log(`Quality: ${SCALE}x scale`);
   console.log(`Format: 9:16 portrait crop`);
   console.log(`Font size: ~9% of image width`);
-  console.log(`Emojis: Apple style with black outline\n`);
+  console.log(`Emojis: Apple style with black outline`);
+  console.log(`Seed: ${SEED} (re-run with --seed=${SEED} for identical output)\n`);
 
   // Ensure output directory exists
   if (!fs.existsSync(OUTPUT_DIR)) {
@@ -382,11 +404,15 @@ async function main() {
   const flashcards = JSON.parse(fs.readFileSync(FLASHCARDS_PATH, 'utf-8'));
   console.log(`Loaded ${flashcards.length} flashcards`);
 
-  // Load manifest
-  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  // Load manifest (invalid and disabled entries are dropped)
+  const manifest = parseManifest(JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')));
+  manifest.errors.forEach(error => console.warn(`  Manifest ${error}`));
 
-  // Filter gen-z images from manifest
-  const genzItems = manifest.filter(item => item.isGenZ === true);
+  // Filter gen-z images from manifest (each carousel slide with text is its own image)
+  const genzItems = manifest.items
+    .filter(item => item.isGenZ === true)
+    .flatMap(item => item.slides || [item])
+    .filter(media => media.type === 'image' && media.flashcardIndex !== undefined);
   console.log(`Found ${genzItems.length} gen-z images to render\n`);
 
   // Process each image
@@ -425,4 +451,104 @@ async function main() {
   console.log(`Output: ${OUTPUT_DIR}`);
 }
 
+// Helper: Check if an output file is newer than its source
+function isUpToDate(outputPath, inputPath) {
+  return fs.existsSync(outputPath) && fs.statSync(outputPath).mtimeMs >= fs.statSync(inputPath).mtimeMs;
+}
+
+// Write an image's variants (skipping ones already up to date) and describe them for the manifest
+async function createVariants(src) {
+  const inputPath = path.join(PUBLIC_DIR, decodeURI(src));
+  const { width } = await sharp(inputPath).metadata();
+  const largest = Math.min(width, VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]);
+  const widths = [...VARIANT_WIDTHS.filter(variantWidth => variantWidth < largest), largest];
+  const name = path.basename(src).replace(/\.[^.]+$/, '');
+
+  const variants = [];
+  for (const format of VARIANT_FORMATS) {
+    for (const variantWidth of widths) {
+      const filename = `${name}-${variantWidth}.${format.extension}`;
+      const outputPath = path.join(VARIANTS_DIR, filename);
+      if (!isUpToDate(outputPath, inputPath)) {
+        await format.encode(sharp(inputPath).resize({ width: variantWidth })).toFile(outputPath);
+      }
+      variants.push({ src: `${VARIANTS_URL}/${filename}`, type: format.type, width: variantWidth });
+    }
+  }
+
+  console.log(`  Variants: ${path.basename(src)} (${widths.join(', ')}px)`);
+  return variants;
+}
+
+// Helper: JSON on one line with a space after each colon and comma (the manifests' item style)
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInline).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, entry]) => `${JSON.stringify(key)}: ${formatInline(entry)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Helper: Manifest JSON laid out like the hand-edited files, one item per line
+function formatManifest(data) {
+  const items = data.items.map(item => `    ${formatInline(item)}`).join(',\n');
+  return `{\n  "version": ${data.version},\n  "items": [\n${items}\n  ]\n}\n`;
+}
+
+async function writeResponsiveVariants() {
+  if (!fs.existsSync(VARIANTS_DIR)) {
+    fs.mkdirSync(VARIANTS_DIR, { recursive: true });
+  }
+
+  // Every channel's manifest, so an image shared between channels gets its variants everywhere
+  const { channels } = JSON.parse(fs.readFileSync(CHANNELS_PATH, 'utf-8'));
+  const manifestPaths = [...new Set(channels.map(channel => path.join(PUBLIC_DIR, channel.manifest)))];
+  const manifests = manifestPaths
+    .map(manifestPath => ({ manifestPath, data: JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) }))
+    .filter(({ manifestPath, data }) => {
+      if (data.version === MANIFEST_VERSION) return true;
+      console.warn(`  Skipped ${path.relative(PROJECT_ROOT, manifestPath)}: not a version ${MANIFEST_VERSION} manifest`);
+      return false;
+    });
+
+  // Gen-z images and image slides, edited in place so the rest of each entry is kept as written
+  const images = manifests
+    .flatMap(({ data }) => data.items)
+    .filter(item => item.isGenZ)
+    .flatMap(item => item.slides || [item])
+    .filter(media => media.type === 'image');
+
+  const variantsBySrc = new Map();
+  for (const media of images) {
+    if (variantsBySrc.has(media.src)) continue;
+    try {
+      variantsBySrc.set(media.src, await createVariants(media.src));
+    } catch (error) {
+      console.error(`  Error creating variants for ${media.src}: ${error.message}`);
+    }
+  }
+
+  images.forEach(media => {
+    if (variantsBySrc.has(media.src)) media.variants = variantsBySrc.get(media.src);
+  });
+  manifests.forEach(({ manifestPath, data }) => fs.writeFileSync(manifestPath, formatManifest(data)));
+
+  console.log(`\nDone! Variants for ${variantsBySrc.size} images in ${manifests.length} manifest(s)`);
+  console.log(`Output: ${VARIANTS_DIR}`);
+}
+
+async function main() {
+  console.log('Gen-Z Image Renderer');
+  console.log('====================\n');
+
+  if (!VARIANTS_ONLY) {
+    await renderTextImages();
+    console.log('');
+  }
+
+  await writeResponsiveVariants();
+}
+
 main().catch(console.error);
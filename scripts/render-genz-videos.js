@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createCanvas, loadImage, registerFont } from 'canvas';
+import { createRandom, randomItem, randomSeed } from '../src/random.js';
 import { execSync } from 'child_process';
 
 // Get __dirname equivalent in ES modules
@@ -43,21 +44,25 @@ const emojiCache = new Map();
 // Register the Ruder font
 registerFont(FONT_PATH, { family: 'Ruder', weight: '900' });
 
+// Seed for every random pick: --seed=<value> or SEED=<value> (random if omitted)
+// Picks are keyed by file name, so re-rendering one file gives the same result
+const SEED_ARG = process.argv.find(arg => arg.startsWith('--seed='));
+const SEED = SEED_ARG ? SEED_ARG.slice('--seed='.length) : (process.env.SEED || randomSeed());
+
 // Helper: Get random emojis (1-2)
-function getRandomEmojis() {
-  const numEmojis = Math.random() > 0.5 ? 2 : 1;
+function getRandomEmojis(key) {
+  const random = createRandom(SEED, `emojis:${key}`);
+  const numEmojis = random() > 0.5 ? 2 : 1;
   const emojis = [];
   for (let i = 0; i < numEmojis; i++) {
-    const randomIndex = Math.floor(Math.random() * GENZ_EMOJIS.length);
-    emojis.push(GENZ_EMOJIS[randomIndex]);
+    emojis.push(randomItem(GENZ_EMOJIS, random));
   }
   return emojis;
 }
 
 // Helper: Get random flashcard
-function getRandomFlashcard(flashcards) {
-  const index = Math.floor(Math.random() * flashcards.length);
-  return flashcards[index];
+function getRandomFlashcard(flashcards, key) {
+  return randomItem(flashcards, createRandom(SEED, `flashcard:${key}`));
 }
 
 // Helper: Load emoji image from Apple emoji CDN
@@ -284,7 +289,7 @@ async function createOverlayPNG(flashcard, width, height, outputPath) {
 
   // Prepare text and emojis
   const textContent = flashcard.genZ.toLowerCase();
-  const emojis = getRandomEmojis();
+  const emojis = getRandomEmojis(path.basename(outputPath));
   const words = parseTextIntoWords(textContent, emojis);
 
   // Calculate font size (~9% of width)
@@ -370,7 +375,8 @@ async function main() {
   console.log('====================\n');
   console.log(`Format: 9:16 portrait crop`);
   console.log(`Text: Random flashcard per video`);
-  console.log(`Emojis: Apple style with black outline\n`);
+  console.log(`Emojis: Apple style with black outline`);
+  console.log(`Seed: ${SEED} (re-run with --seed=${SEED} for identical output)\n`);
 
   // Ensure directories exist
   if (!fs.existsSync(OUTPUT_DIR)) {
@@ -400,7 +406,7 @@ async function main() {
     const tempOverlayPath = path.join(TEMP_DIR, `overlay_${filename}.png`);
 
     try {
-      const flashcard = getRandomFlashcard(flashcards);
+      const flashcard = getRandomFlashcard(flashcards, filename);
       await processVideo(videoPath, flashcard, outputPath, tempOverlayPath);
       successCount++;
 
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseManifest } from '../src/manifest.js';
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Configuration
+const PROJECT_ROOT = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(PROJECT_ROOT, 'public');
+const CHANNELS_PATH = path.join(PUBLIC_DIR, 'channels.json');
+
+// Helper: Check that a public URL points at a file in public/
+function publicFileExists(url) {
+  return fs.existsSync(path.join(PUBLIC_DIR, decodeURI(url)));
+}
+
+// Helper: Read a JSON file given its public URL
+function readPublicJson(url) {
+  return JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, url), 'utf-8'));
+}
+
+/**
+ * Validate one channel's manifest against its flashcard deck
+ * Returns the list of problems
+ */
+function validateChannel(channel) {
+  const manifest = parseManifest(readPublicJson(channel.manifest));
+  const flashcards = readPublicJson(channel.flashcards);
+  const errors = [...manifest.errors];
+
+  // Schema-valid entries can still point at files that aren't there
+  for (const item of manifest.items) {
+    // Carousel posts: check every slide
+    const media = item.slides || [item];
+    media.forEach((entry, index) => {
+      const label = item.slides ? `item "${item.id}" slide ${index}` : `item "${item.id}"`;
+
+      for (const field of ['src', 'poster', 'captions']) {
+        if (entry[field] && !publicFileExists(entry[field])) {
+          errors.push(`${label}: ${field} not found (${entry[field]})`);
+        }
+      }
+
+      // A missing variant is a broken image: browsers don't fall back from a chosen <source>
+      for (const variant of entry.variants || []) {
+        if (!publicFileExists(variant.src)) {
+          errors.push(`${label}: variant not found (${variant.src})`);
+        }
+      }
+
+      if (item.slides && entry.flashcardIndex !== undefined && !flashcards[entry.flashcardIndex]) {
+        errors.push(`${label}: no flashcard at index ${entry.flashcardIndex}`);
+      }
+    });
+
+    if (item.isGenZ && !flashcards[item.flashcardIndex]) {
+      errors.push(`item "${item.id}": no flashcard at index ${item.flashcardIndex}`);
+    }
+  }
+
+  console.log(`${channel.id}: ${manifest.items.length} valid items, ${manifest.skipped} disabled`);
+  errors.forEach(error => console.error(`  ${error}`));
+  return errors;
+}
+
+function main() {
+  // Every channel has its own manifest and deck
+  const { channels } = JSON.parse(fs.readFileSync(CHANNELS_PATH, 'utf-8'));
+  let problems = 0;
+
+  for (const channel of channels) {
+    problems += validateChannel(channel).length;
+  }
+
+  if (problems > 0) {
+    console.error(`\n${problems} problem(s) in ${channels.length} channel(s)`);
+    process.exit(1);
+  }
+
+  console.log('Manifests OK');
+}
+
+main();
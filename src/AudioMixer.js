@@ -0,0 +1,178 @@
+/**
+ * AudioMixer - Global sound state and per-video volume through Web Audio
+ *
+ * Everything starts muted (autoplay policies only allow muted playback).
+ * The first tap on the feed - or the speaker button - unmutes, creating the
+ * AudioContext inside that gesture. Each video is routed through its own
+ * GainNode the first time it is given a level; feeds call setLevel() as
+ * they scroll and the gain glides to it, so posts crossfade instead of
+ * cutting. Without Web Audio, levels fall back to video.volume.
+ *
+ * Emits 'change' with { enabled } when sound is switched on or off.
+ */
+
+export class AudioMixer {
+  constructor(options = {}) {
+    this.backgroundLevel = options.backgroundLevel || 0; // Volume of background videos (0 = muted)
+    this.smoothing = options.smoothing || 0.08; // s - time constant of gain changes
+
+    // State
+    this.enabled = false;
+    this.decided = false; // The viewer chose sound on or off (the first tap no longer unmutes)
+    this.context = null;
+    this.gains = new WeakMap(); // video -> GainNode (a media element can only be routed once)
+    this.navigator = null;
+    this.button = null;
+    this.eventListeners = {};
+
+    // Bind methods
+    this._handleTap = this._handleTap.bind(this);
+
+    this.createUI();
+  }
+
+  /**
+   * Create the speaker button (hidden until connectNavigator())
+   */
+  createUI() {
+    this.button = document.createElement('button');
+    this.button.type = 'button';
+    this.button.className = 'sound-toggle';
+    this.button.addEventListener('click', () => this.setEnabled(!this.enabled));
+    document.body.appendChild(this.button);
+    this.updateButton();
+  }
+
+  /**
+   * Show the button and unmute on the first tap (once the user is in control)
+   */
+  connectNavigator(navigator) {
+    this.disconnectNavigator();
+    this.navigator = navigator;
+    navigator.on('tap', this._handleTap);
+    this.button.classList.add('visible');
+  }
+
+  /**
+   * Stop listening for the unmute tap
+   */
+  disconnectNavigator() {
+    if (!this.navigator) return;
+    this.navigator.off('tap', this._handleTap);
+    this.navigator = null;
+  }
+
+  /**
+   * Switch sound on or off - call from inside a user gesture to turn it on
+   */
+  setEnabled(enabled) {
+    this.decided = true;
+    if (enabled === this.enabled) return;
+
+    if (enabled && !this.context && window.AudioContext) {
+      this.context = new window.AudioContext();
+    }
+    if (this.context) {
+      (enabled ? this.context.resume() : this.context.suspend()).catch(() => {});
+    }
+
+    this.enabled = enabled;
+    this.updateButton();
+    this.emit('change', { enabled });
+  }
+
+  /**
+   * Set a video's volume (0-1); silent and muted while sound is off
+   */
+  setLevel(video, level) {
+    if (!this.enabled) {
+      video.muted = true;
+      return;
+    }
+
+    // Never heard yet: no need to route it
+    if (level <= 0 && !this.gains.has(video)) {
+      video.muted = true;
+      return;
+    }
+
+    if (!this.context) {
+      video.muted = level <= 0;
+      video.volume = Math.min(1, level);
+      return;
+    }
+
+    const gain = this.route(video);
+    if (video.muted) {
+      // Coming back from silence (or a recycled element): start from zero, not its old level
+      gain.gain.cancelScheduledValues(this.context.currentTime);
+      gain.gain.setValueAtTime(0, this.context.currentTime);
+      video.muted = false;
+    }
+    gain.gain.setTargetAtTime(level, this.context.currentTime, this.smoothing);
+  }
+
+  /**
+   * Get the video's GainNode, routing it through Web Audio on first use
+   */
+  route(video) {
+    let gain = this.gains.get(video);
+    if (gain) return gain;
+
+    gain = this.context.createGain();
+    gain.gain.value = 0;
+    this.context.createMediaElementSource(video).connect(gain).connect(this.context.destination);
+    this.gains.set(video, gain);
+    return gain;
+  }
+
+  updateButton() {
+    this.button.textContent = this.enabled ? '🔊' : '🔇';
+    this.button.setAttribute('aria-label', this.enabled ? 'Mute' : 'Unmute');
+    this.button.classList.toggle('muted', !this.enabled);
+  }
+
+  _handleTap() {
+    if (!this.decided) this.setEnabled(true);
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * AutoScroller - Hands-free scrolling for InfiniteScroll
+ *
+ * Speed is in pixels per second and advanced by frame time, so 60Hz and
+ * 120Hz screens scroll the same distance. A speed profile shapes the speed
+ * over time (constant, "doom" ramp-up, sinusoidal drift). When connected to a
+ * navigator it pauses as soon as the user takes over and resumes after they
+ * have been idle for a while - used by the intro and the attract mode.
+ */
+import { resolveEasing } from './easing.js';
+
+/**
+ * Speed profiles
+ *
+ * Each takes the time spent scrolling (ms, excluding pauses) and the
+ * scroller, and returns the speed in pixels per second.
+ */
+export const SPEED_PROFILES = {
+  constant: (elapsed, scroller) => scroller.speed,
+
+  // Accelerates from speed to maxSpeed over rampDuration, like a feed you can't put down
+  doom: (elapsed, scroller) => {
+    const progress = Math.min(elapsed / scroller.rampDuration, 1);
+    return scroller.speed + (scroller.maxSpeed - scroller.speed) * progress * progress;
+  },
+
+  // Slow breathing drift around speed
+  drift: (elapsed, scroller) => {
+    const phase = (elapsed / scroller.driftPeriod) * 2 * Math.PI;
+    return scroller.speed * (1 + scroller.driftAmount * Math.sin(phase));
+  }
+};
+
+/**
+ * Resolve a profile given by name or as a function (falls back to constant)
+ */
+export function resolveSpeedProfile(profile) {
+  if (typeof profile === 'function') return profile;
+  return SPEED_PROFILES[profile] || SPEED_PROFILES.constant;
+}
+
+export class AutoScroller {
+  constructor(infiniteScroll, options = {}) {
+    this.infiniteScroll = infiniteScroll;
+
+    // Configuration
+    this.profile = resolveSpeedProfile(options.profile || 'constant');
+    this.speed = options.speed || 120; // px per second
+    this.maxSpeed = options.maxSpeed || this.speed * 4; // doom: top speed
+    this.rampDuration = options.rampDuration || 60000; // doom: ms to reach top speed
+    this.driftPeriod = options.driftPeriod || 8000; // drift: ms per speed cycle
+    this.driftAmount = options.driftAmount !== undefined ? options.driftAmount : 0.6; // drift: +/- fraction of speed
+    this.direction = options.direction || 1; // 1 = down the feed, -1 = up
+    this.resumeDelay = options.resumeDelay !== undefined ? options.resumeDelay : 5000; // ms idle before resuming (0 = stay paused)
+    this.fadeDuration = options.fadeDuration || 1000; // ms to ease back up to speed after resuming
+    this.maxFrameTime = 100; // ms - long frames (background tabs) don't jump the feed
+
+    // State
+    this.isRunning = false;
+    this.isPaused = false;
+    this.elapsed = 0; // ms spent scrolling, drives the profile
+    this.throttle = 1; // 0-1 multiplier for fading in and out
+    this.throttleAnimation = null; // { from, to, startTime, duration, ease, resolve }
+    this.lastFrameTime = null;
+    this.animationId = null;
+    this.resumeTimer = null;
+    this.navigator = null;
+
+    // Bind methods
+    this._tick = this._tick.bind(this);
+    this._handleInputStart = this._handleInputStart.bind(this);
+    this._handleInputEnd = this._handleInputEnd.bind(this);
+  }
+
+  /**
+   * Pause while the user scrolls, resume after resumeDelay of inactivity
+   */
+  connectNavigator(navigator) {
+    this.disconnectNavigator();
+    this.navigator = navigator;
+    navigator.on('start', this._handleInputStart);
+    navigator.on('end', this._handleInputEnd);
+  }
+
+  /**
+   * Stop reacting to user input
+   */
+  disconnectNavigator() {
+    if (!this.navigator) return;
+
+    this.navigator.off('start', this._handleInputStart);
+    this.navigator.off('end', this._handleInputEnd);
+    this.navigator = null;
+    this._cancelResume();
+  }
+
+  /**
+   * Start scrolling (restarts the profile from the beginning)
+   */
+  start() {
+    this.elapsed = 0;
+    this.throttle = 1;
+    this.isRunning = true;
+    this.isPaused = false;
+    this._cancelResume();
+    this._cancelThrottle();
+    this._requestFrame();
+  }
+
+  /**
+   * Stop scrolling entirely
+   */
+  stop() {
+    this.isRunning = false;
+    this.isPaused = false;
+    this._cancelResume();
+    this._cancelThrottle();
+    this._cancelFrame();
+  }
+
+  /**
+   * Pause immediately, keeping the profile's progress
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+
+    this.isPaused = true;
+    this._cancelThrottle();
+    this._cancelFrame();
+  }
+
+  /**
+   * Pause now and resume once resumeDelay has passed without input
+   */
+  pauseUntilIdle() {
+    this.pause();
+    this._scheduleResume();
+  }
+
+  /**
+   * Resume after a pause, easing back up to speed
+   */
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+
+    this.isPaused = false;
+    this.throttle = 0;
+    this.fadeTo(1, this.fadeDuration, 'easeInOutCubic');
+    this._requestFrame();
+  }
+
+  /**
+   * Ease the speed down to a stop, then stop
+   * Resolves true when stopped, false if interrupted
+   */
+  decelerate(duration = 2000, easing = 'easeOutCubic') {
+    if (!this.isRunning || this.isPaused) {
+      this.stop();
+      return Promise.resolve(true);
+    }
+
+    return this.fadeTo(0, duration, easing).then((completed) => {
+      if (completed) this.stop();
+      return completed;
+    });
+  }
+
+  /**
+   * Animate the speed multiplier to a value between 0 and 1
+   */
+  fadeTo(throttle, duration, easing = 'easeInOutCubic') {
+    this._cancelThrottle();
+
+    return new Promise((resolve) => {
+      this.throttleAnimation = {
+        from: this.throttle,
+        to: throttle,
+        startTime: performance.now(),
+        duration,
+        ease: resolveEasing(easing),
+        resolve
+      };
+    });
+  }
+
+  /**
+   * Switch speed profile (by name or function)
+   */
+  setProfile(profile) {
+    this.profile = resolveSpeedProfile(profile);
+    this.elapsed = 0;
+  }
+
+  /**
+   * Current speed in pixels per second (0 while paused)
+   */
+  getSpeed() {
+    if (!this.isRunning || this.isPaused) return 0;
+    return this.profile(this.elapsed, this) * this.throttle;
+  }
+
+  /**
+   * Stop and disconnect (cleanup)
+   */
+  destroy() {
+    this.stop();
+    this.disconnectNavigator();
+  }
+
+  _tick(currentTime) {
+    this.animationId = null;
+    if (!this.isRunning || this.isPaused) return;
+
+    const frameTime = Math.min(currentTime - this.lastFrameTime, this.maxFrameTime);
+    this.lastFrameTime = currentTime;
+
+    this._updateThrottle(currentTime);
+
+    if (frameTime > 0) {
+      this.infiniteScroll.scrollBy(this.direction * this.getSpeed() * frameTime / 1000);
+      this.elapsed += frameTime;
+    }
+
+    // The throttle may have faded out and stopped us
+    if (this.isRunning && !this.isPaused) {
+      this.animationId = requestAnimationFrame(this._tick);
+    }
+  }
+
+  _updateThrottle(currentTime) {
+    const animation = this.throttleAnimation;
+    if (!animation) return;
+
+    const progress = animation.duration > 0
+      ? Math.min((currentTime - animation.startTime) / animation.duration, 1)
+      : 1;
+    this.throttle = animation.from + (animation.to - animation.from) * animation.ease(progress);
+
+    if (progress >= 1) {
+      this.throttleAnimation = null;
+      animation.resolve(true);
+    }
+  }
+
+  _handleInputStart() {
+    this._cancelResume();
+    this.pause();
+  }
+
+  _handleInputEnd() {
+    this._scheduleResume();
+  }
+
+  _scheduleResume() {
+    if (!this.isRunning || !this.resumeDelay) return;
+
+    this._cancelResume();
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.resume();
+    }, this.resumeDelay);
+  }
+
+  _requestFrame() {
+    if (this.animationId) return;
+    this.lastFrameTime = performance.now();
+    this.animationId = requestAnimationFrame(this._tick);
+  }
+
+  _cancelFrame() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+  }
+
+  _cancelThrottle() {
+    if (this.throttleAnimation) {
+      this.throttleAnimation.resolve(false);
+      this.throttleAnimation = null;
+    }
+  }
+
+  _cancelResume() {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+  }
+}
@@ -0,0 +1,260 @@
+/**
+ * Calibration - Physical screen size calibration for meter-based distance
+ *
+ * The user resizes an on-screen rectangle until it matches a credit card or
+ * a ruler. The resulting CSS pixels per meter are saved in localStorage and
+ * used by every navigator's getDistanceInMeters(), with the screen-size
+ * heuristic as the fallback.
+ */
+
+const STORAGE_KEY = 'brainrot:calibration';
+
+// Physical reference objects (millimeters)
+const REFERENCES = {
+  card: { label: 'Credit card', width: 85.6, height: 53.98 }, // ISO/IEC 7810 ID-1
+  ruler: { label: 'Ruler (10 cm)', width: 100, height: 12 }
+};
+
+// Slider range in CSS pixels per meter (~38 to ~200 CSS PPI)
+const MIN_PIXELS_PER_METER = 1500;
+const MAX_PIXELS_PER_METER = 8000;
+
+// Cached calibration (undefined = not read from storage yet)
+let cachedCalibration;
+
+/**
+ * Read the saved calibration from localStorage
+ */
+export function loadCalibration() {
+  if (cachedCalibration !== undefined) return cachedCalibration;
+
+  try {
+    cachedCalibration = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || null;
+  } catch (error) {
+    cachedCalibration = null;
+  }
+  return cachedCalibration;
+}
+
+/**
+ * Save a calibration for the current screen
+ */
+export function saveCalibration(pixelsPerMeter, reference = 'card') {
+  cachedCalibration = {
+    pixelsPerMeter,
+    reference,
+    devicePixelRatio: window.devicePixelRatio || 1,
+    screenWidth: window.screen.width * (window.devicePixelRatio || 1),
+    screenHeight: window.screen.height * (window.devicePixelRatio || 1),
+    savedAt: new Date().toISOString()
+  };
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(cachedCalibration));
+  } catch (error) {
+    console.warn('Calibration: could not save to localStorage', error);
+  }
+  return cachedCalibration;
+}
+
+/**
+ * Forget the saved calibration (navigators fall back to the heuristic)
+ */
+export function clearCalibration() {
+  cachedCalibration = null;
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Storage unavailable - nothing to clear
+  }
+}
+
+/**
+ * Get calibrated CSS pixels per meter for the current screen, or null
+ *
+ * Browser zoom changes devicePixelRatio but not the physical screen, so the
+ * saved value is rescaled. A different physical resolution means a different
+ * monitor and the calibration no longer applies.
+ */
+export function getCalibratedPixelsPerMeter() {
+  const calibration = loadCalibration();
+  if (!calibration) return null;
+
+  const devicePixelRatio = window.devicePixelRatio || 1;
+  const screenWidth = window.screen.width * devicePixelRatio;
+  const screenHeight = window.screen.height * devicePixelRatio;
+
+  // Zoom rounds screen.width/height, so allow a small relative tolerance
+  const sameScreen = Math.abs(screenWidth / calibration.screenWidth - 1) < 0.02 &&
+    Math.abs(screenHeight / calibration.screenHeight - 1) < 0.02;
+  if (!sameScreen) return null;
+
+  return calibration.pixelsPerMeter * calibration.devicePixelRatio / devicePixelRatio;
+}
+
+// Pick up calibrations saved in other tabs
+window.addEventListener('storage', (event) => {
+  if (event.key === STORAGE_KEY) cachedCalibration = undefined;
+});
+
+export class CalibrationScreen {
+  constructor(options = {}) {
+    // Configuration
+    this.reference = options.reference || 'card';
+    this.initialPixelsPerMeter = options.pixelsPerMeter || getCalibratedPixelsPerMeter() || 3780; // 96 CSS PPI
+
+    // State
+    this.pixelsPerMeter = this.initialPixelsPerMeter;
+    this.resolve = null;
+
+    // DOM elements
+    this.overlay = null;
+    this.rectangle = null;
+    this.slider = null;
+    this.readout = null;
+  }
+
+  /**
+   * Show the calibration screen
+   * Resolves with the saved calibration, or null if cancelled
+   */
+  open() {
+    if (!this.overlay) {
+      this.createUI();
+    }
+    document.body.appendChild(this.overlay);
+    this.update();
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * Create the overlay DOM structure
+   */
+  createUI() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'calibration-overlay';
+
+    const title = document.createElement('div');
+    title.className = 'calibration-title';
+    title.textContent = 'Calibrate screen size';
+
+    const instructions = document.createElement('div');
+    instructions.className = 'calibration-instructions';
+    instructions.textContent = 'Hold the object against the screen and resize the box until it matches exactly.';
+
+    // Reference object switcher
+    const references = document.createElement('div');
+    references.className = 'calibration-references';
+    for (const [key, reference] of Object.entries(REFERENCES)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'calibration-button';
+      button.dataset.reference = key;
+      button.textContent = reference.label;
+      button.addEventListener('click', () => {
+        this.reference = key;
+        this.update();
+      });
+      references.appendChild(button);
+    }
+
+    // Rectangle matched against the physical object
+    const stage = document.createElement('div');
+    stage.className = 'calibration-stage';
+    this.rectangle = document.createElement('div');
+    this.rectangle.className = 'calibration-rectangle';
+    stage.appendChild(this.rectangle);
+
+    // Size slider
+    this.slider = document.createElement('input');
+    this.slider.type = 'range';
+    this.slider.className = 'calibration-slider';
+    this.slider.min = MIN_PIXELS_PER_METER;
+    this.slider.max = MAX_PIXELS_PER_METER;
+    this.slider.step = 1;
+    this.slider.addEventListener('input', () => {
+      this.pixelsPerMeter = Number(this.slider.value);
+      this.update();
+    });
+
+    this.readout = document.createElement('div');
+    this.readout.className = 'calibration-readout';
+
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'calibration-actions';
+    actions.appendChild(this.createAction('Save', () => this.save()));
+    actions.appendChild(this.createAction('Use estimate', () => this.reset()));
+    actions.appendChild(this.createAction('Cancel', () => this.close(null)));
+
+    this.overlay.appendChild(title);
+    this.overlay.appendChild(instructions);
+    this.overlay.appendChild(references);
+    this.overlay.appendChild(stage);
+    this.overlay.appendChild(this.slider);
+    this.overlay.appendChild(this.readout);
+    this.overlay.appendChild(actions);
+  }
+
+  /**
+   * Create an action button
+   */
+  createAction(label, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'calibration-button';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Resize the rectangle for the current reference and scale
+   */
+  update() {
+    const reference = REFERENCES[this.reference];
+    const pixelsPerMillimeter = this.pixelsPerMeter / 1000;
+
+    this.rectangle.style.width = `${reference.width * pixelsPerMillimeter}px`;
+    this.rectangle.style.height = `${reference.height * pixelsPerMillimeter}px`;
+    this.slider.value = this.pixelsPerMeter;
+
+    const cssPPI = this.pixelsPerMeter * 0.0254;
+    this.readout.textContent = `${reference.width} × ${reference.height} mm · ${cssPPI.toFixed(1)} px/inch`;
+
+    for (const button of this.overlay.querySelectorAll('[data-reference]')) {
+      button.classList.toggle('selected', button.dataset.reference === this.reference);
+    }
+  }
+
+  /**
+   * Save the current scale and close
+   */
+  save() {
+    this.close(saveCalibration(this.pixelsPerMeter, this.reference));
+  }
+
+  /**
+   * Drop any saved calibration and close
+   */
+  reset() {
+    clearCalibration();
+    this.close(null);
+  }
+
+  /**
+   * Remove the overlay and resolve open()
+   */
+  close(result) {
+    if (this.overlay && this.overlay.parentNode) {
+      this.overlay.parentNode.removeChild(this.overlay);
+    }
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Carousel - Horizontally swipeable slides inside one gen-z post
+ *
+ * Builds a sliding track and dot indicators into the post's media container.
+ * It never listens to pointers itself: the feed forwards the navigator's
+ * swipe stream via drag() and release(), so horizontal gestures stay
+ * separate from vertical scrolling. Slides past either end rubber-band.
+ */
+
+export class Carousel {
+  constructor(container, slides, options = {}) {
+    this.container = container;
+    this.slides = slides; // Slide elements, in order
+
+    // Configuration
+    this.swipeThreshold = options.swipeThreshold || 0.2; // Fraction of the width that changes slide
+    this.flickVelocity = options.flickVelocity || 0.4; // px/ms - faster releases change slide regardless
+    this.edgeResistance = options.edgeResistance || 0.3; // Drag multiplier past the first/last slide
+    this.onChange = options.onChange || null; // Called with the new slide index
+
+    // State
+    this.current = Math.max(0, Math.min(options.startSlide || 0, slides.length - 1));
+    this.track = null;
+    this.dots = [];
+
+    this.createUI();
+    this.goTo(this.current, { animate: false });
+  }
+
+  /**
+   * Create the track and dot indicators
+   */
+  createUI() {
+    this.container.classList.add('genz-carousel');
+
+    this.track = document.createElement('div');
+    this.track.className = 'genz-carousel-track';
+    this.slides.forEach(slide => {
+      slide.classList.add('genz-slide');
+      this.track.appendChild(slide);
+    });
+    this.container.appendChild(this.track);
+
+    const dotBar = document.createElement('div');
+    dotBar.className = 'genz-carousel-dots';
+    this.dots = this.slides.map(() => {
+      const dot = document.createElement('span');
+      dot.className = 'genz-carousel-dot';
+      dotBar.appendChild(dot);
+      return dot;
+    });
+    this.container.appendChild(dotBar);
+  }
+
+  /**
+   * Check whether a client position is over the carousel
+   */
+  containsPoint(x, y) {
+    const rect = this.container.getBoundingClientRect();
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  }
+
+  /**
+   * Follow a drag of dx pixels from the current slide
+   */
+  drag(dx) {
+    const atStart = this.current === 0 && dx > 0;
+    const atEnd = this.current === this.slides.length - 1 && dx < 0;
+    const offset = atStart || atEnd ? dx * this.edgeResistance : dx;
+
+    this.track.classList.add('dragging');
+    this._setTransform(offset);
+  }
+
+  /**
+   * End a drag: move to the neighbouring slide if it went far or fast enough
+   */
+  release(dx, velocity = 0) {
+    const width = this.container.offsetWidth || 1;
+    let target = this.current;
+
+    if (dx < -width * this.swipeThreshold || velocity < -this.flickVelocity) {
+      target++;
+    } else if (dx > width * this.swipeThreshold || velocity > this.flickVelocity) {
+      target--;
+    }
+
+    this.goTo(target);
+  }
+
+  /**
+   * Show a slide
+   */
+  goTo(index, { animate = true } = {}) {
+    const previous = this.current;
+    this.current = Math.max(0, Math.min(index, this.slides.length - 1));
+
+    this.track.classList.toggle('dragging', !animate);
+    this._setTransform(0);
+
+    this.slides.forEach((slide, i) => slide.classList.toggle('active', i === this.current));
+    this.dots.forEach((dot, i) => dot.classList.toggle('active', i === this.current));
+
+    if (this.current !== previous && this.onChange) {
+      this.onChange(this.current);
+    }
+  }
+
+  /**
+   * Get the index of the slide being shown
+   */
+  getSlide() {
+    return this.current;
+  }
+
+  _setTransform(offset) {
+    this.track.style.transform = `translateX(calc(${-this.current * 100}% + ${offset}px))`;
+  }
+}
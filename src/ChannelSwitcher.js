@@ -0,0 +1,221 @@
+/**
+ * ChannelSwitcher - Several feeds ("channels") behind a top tab bar
+ *
+ * Each channel is its own InfiniteScroll with its own manifest and flashcard
+ * deck. Only the active one is shown and follows the navigator; the others
+ * stay initialized in the background, so switching back resumes at the same
+ * post with the same elements. Channels load on first visit.
+ *
+ * Switch by tapping a tab or swiping horizontally (left = next channel),
+ * using the navigator's swipe stream. Swipes claimed by something else (a
+ * carousel) are ignored.
+ */
+
+export class ChannelSwitcher {
+  constructor(channels, options = {}) {
+    this.channels = channels; // [{ id, title, feed }]
+
+    // Swipe detection
+    this.swipeDistance = options.swipeDistance || 80; // px of horizontal travel
+    this.swipeDuration = options.swipeDuration || 800; // ms - slower drags aren't swipes
+
+    // State
+    this.activeIndex = options.activeIndex || 0;
+    this.readyIds = new Set(); // Channels whose feed finished init()
+    this.loading = new Map(); // id -> init() promise
+    this.navigator = null;
+    this.tabBar = null;
+    this.eventListeners = {};
+
+    // Bind methods
+    this._handleSwipeEnd = this._handleSwipeEnd.bind(this);
+
+    this.createUI();
+  }
+
+  /**
+   * Create the tab bar (hidden until connectNavigator())
+   */
+  createUI() {
+    this.tabBar = document.createElement('nav');
+    this.tabBar.className = 'channel-tabs';
+
+    this.channels.forEach((channel, index) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'channel-tab';
+      tab.textContent = channel.title;
+      tab.addEventListener('click', () => this.switchTo(index));
+      this.tabBar.appendChild(tab);
+    });
+
+    document.body.appendChild(this.tabBar);
+    this.updateTabs();
+  }
+
+  /**
+   * Show the tabs and switch on swipes (once the user is in control)
+   */
+  connectNavigator(navigator) {
+    this.disconnectNavigator();
+    this.navigator = navigator;
+    navigator.on('swipeend', this._handleSwipeEnd);
+    this.tabBar.classList.add('visible');
+  }
+
+  /**
+   * Hide the tabs and stop switching on swipes
+   */
+  disconnectNavigator() {
+    this.tabBar.classList.remove('visible');
+    if (!this.navigator) return;
+
+    this.navigator.off('swipeend', this._handleSwipeEnd);
+    this.navigator = null;
+  }
+
+  /**
+   * Mark an already initialized feed as ready (e.g. the first channel)
+   */
+  markReady(index) {
+    const channel = this.channels[index];
+    if (this.readyIds.has(channel.id)) return;
+
+    this.readyIds.add(channel.id);
+    this.emit('ready', channel);
+  }
+
+  /**
+   * Switch to a channel by index or id, loading it on first visit
+   */
+  async switchTo(target) {
+    const index = typeof target === 'number' ? target : this.channels.findIndex(channel => channel.id === target);
+    if (index < 0 || index >= this.channels.length || index === this.activeIndex) return;
+
+    const previous = this.getActive();
+    const channel = this.channels[index];
+
+    previous.feed.setActive(false);
+    channel.feed.setActive(true);
+    this.activeIndex = index;
+    this.updateTabs();
+    this.emit('change', { channel, previous });
+
+    await this._load(index);
+  }
+
+  /**
+   * Switch to the channel on the right (wraps around)
+   */
+  next() {
+    return this.switchTo((this.activeIndex + 1) % this.channels.length);
+  }
+
+  /**
+   * Switch to the channel on the left (wraps around)
+   */
+  previous() {
+    return this.switchTo((this.activeIndex - 1 + this.channels.length) % this.channels.length);
+  }
+
+  /**
+   * Get the active channel ({ id, title, feed })
+   */
+  getActive() {
+    return this.channels[this.activeIndex];
+  }
+
+  /**
+   * Get the channels whose feeds have finished loading
+   */
+  getReadyChannels() {
+    return this.channels.filter(channel => this.readyIds.has(channel.id));
+  }
+
+  /**
+   * Scroll the active feed (lets an AutoScroller drive whichever channel is shown)
+   */
+  scrollBy(pixels, options) {
+    return this.getActive().feed.scrollBy(pixels, options);
+  }
+
+  updateTabs() {
+    [...this.tabBar.children].forEach((tab, index) => {
+      const isActive = index === this.activeIndex;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+  }
+
+  async _load(index) {
+    const channel = this.channels[index];
+    if (this.readyIds.has(channel.id)) return;
+
+    if (!this.loading.has(channel.id)) {
+      this.loading.set(channel.id, channel.feed.init());
+    }
+
+    try {
+      await this.loading.get(channel.id);
+      this.markReady(index);
+    } catch (error) {
+      console.error(`Failed to load channel "${channel.id}":`, error);
+      this.loading.delete(channel.id);
+    }
+  }
+
+  _handleSwipeEnd(swipe) {
+    if (swipe.cancelled || swipe.owner) return;
+
+    const isSwipe = Math.abs(swipe.dx) >= this.swipeDistance &&
+      performance.now() - swipe.startTime <= this.swipeDuration;
+    if (!isSwipe) return;
+
+    // Content follows the finger: swiping left brings in the next channel
+    if (swipe.dx < 0) {
+      this.next();
+    } else {
+      this.previous();
+    }
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * DebugOverlay - Small corner readout of session details (?debug)
+ *
+ * Shows labelled values such as the feed seed, so a screenshot of a bug
+ * carries what's needed to reproduce it. Click-through.
+ */
+
+export class DebugOverlay {
+  constructor() {
+    this.rows = new Map(); // label -> value element
+
+    this.element = document.createElement('div');
+    this.element.className = 'debug-overlay';
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Show or update a labelled value
+   */
+  set(label, value) {
+    let valueElement = this.rows.get(label);
+
+    if (!valueElement) {
+      const row = document.createElement('div');
+      row.className = 'debug-overlay-row';
+
+      const labelElement = document.createElement('span');
+      labelElement.className = 'debug-overlay-label';
+      labelElement.textContent = label;
+
+      valueElement = document.createElement('span');
+      row.appendChild(labelElement);
+      row.appendChild(valueElement);
+      this.element.appendChild(row);
+      this.rows.set(label, valueElement);
+    }
+
+    valueElement.textContent = String(value);
+  }
+
+  /**
+   * Remove the overlay (cleanup)
+   */
+  destroy() {
+    this.element.remove();
+    this.rows.clear();
+  }
+}
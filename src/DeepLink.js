@@ -0,0 +1,198 @@
+/**
+ * DeepLink - Keeps the URL pointing at the focused post
+ *
+ * ?seed=<seed>&channel=<id>&post=<gen-z index>&id=<post id>
+ *
+ * The seed rebuilds the same feed and the post id pins the exact post at
+ * that index (the recommender orders posts differently for every viewer).
+ * While scrolling the URL is kept current with replaceState; once the
+ * viewer scrolls away from a post they settled on, a new history entry is
+ * pushed, so back/forward step between previously focused posts.
+ * Programmatic scrolls only ever replace the current entry. Other parameters
+ * (?paging, ?debug...) are left alone.
+ */
+
+const MAX_POST = 100000; // Deepest post (either way) a link may point at; further ones are ignored
+
+export class DeepLink {
+  constructor(channelSwitcher, options = {}) {
+    this.channelSwitcher = channelSwitcher;
+    this.seed = options.seed;
+
+    // Configuration
+    this.settleDelay = options.settleDelay || 800; // ms on a post before leaving it adds a history entry
+    this.replaceInterval = options.replaceInterval || 300; // ms between URL updates (browsers rate-limit them)
+    this.restoreDuration = options.restoreDuration || 500; // ms scroll when going back/forward
+
+    // State
+    this.current = null; // { channel, post, id } the current history entry points at
+    this.settled = true; // Whether the current entry's post was dwelt on
+    this.settleTimer = null;
+    this.replaceTimer = null;
+    this.lastReplaceTime = 0;
+    this.isRestoring = false;
+
+    // Bind methods
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleChannelChange = this.handleChannelChange.bind(this);
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Read a deep link from a query string ({ channel, post, id } - missing or invalid parts are null)
+   */
+  static parse(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const post = Number(params.get('post') || NaN);
+    return {
+      channel: params.get('channel'),
+      post: Number.isInteger(post) && Math.abs(post) <= MAX_POST ? post : null,
+      id: params.get('id')
+    };
+  }
+
+  /**
+   * Land a feed on a linked post (pinning the linked item there) without animating
+   */
+  static land(feed, link) {
+    if (link.post === null) return;
+    if (link.id) feed.pinGenzPost(link.post, link.id);
+    feed.scrollToPost(link.post);
+  }
+
+  /**
+   * Start following the feeds (once the user is in control)
+   */
+  connect() {
+    this.channelSwitcher.channels.forEach(({ feed }) => feed.on('scroll', this.handleScroll));
+    this.channelSwitcher.on('change', this.handleChannelChange);
+    window.addEventListener('popstate', this.handlePopState);
+
+    // The entry the app was opened with now points at where the viewer is
+    this.current = this.getFocus();
+    window.history.replaceState(this.current, '', this.buildUrl(this.current));
+    this.settled = true;
+  }
+
+  /**
+   * Stop updating the URL
+   */
+  disconnect() {
+    this.channelSwitcher.channels.forEach(({ feed }) => feed.off('scroll', this.handleScroll));
+    this.channelSwitcher.off('change', this.handleChannelChange);
+    window.removeEventListener('popstate', this.handlePopState);
+    clearTimeout(this.settleTimer);
+    clearTimeout(this.replaceTimer);
+  }
+
+  /**
+   * Where the viewer is: { channel, post, id }
+   */
+  getFocus() {
+    const { id: channel, feed } = this.channelSwitcher.getActive();
+    if (!feed.isInitialized) return { channel, post: null, id: null }; // Still loading
+    const post = feed.getFocusedGenzIndex();
+    const item = feed.getGenzForIndex(post);
+    return { channel, post, id: item ? item.id : null };
+  }
+
+  /**
+   * Build the URL for a focus, keeping unrelated parameters
+   */
+  buildUrl(focus) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', this.seed);
+    url.searchParams.set('channel', focus.channel);
+    if (focus.post !== null) {
+      url.searchParams.set('post', focus.post);
+    } else {
+      url.searchParams.delete('post');
+    }
+    if (focus.id) {
+      url.searchParams.set('id', focus.id);
+    } else {
+      url.searchParams.delete('id');
+    }
+    return url.toString();
+  }
+
+  handleScroll({ source }) {
+    if (this.isRestoring) return;
+
+    const focus = this.getFocus();
+    if (this.current && focus.channel === this.current.channel && focus.post === this.current.post) return;
+
+    if (source !== 'user') {
+      // Programmatic scrolls (e.g. attract mode) keep the URL current without adding history
+      this.replace(focus);
+      this.settled = false;
+      clearTimeout(this.settleTimer);
+      return;
+    }
+
+    if (this.settled && this.current.post !== null) {
+      // Leaving a post the viewer stayed on: keep it in history
+      this.push(focus);
+    } else {
+      this.replace(focus);
+    }
+
+    // Staying on this post long enough makes it worth a history entry too
+    this.settled = false;
+    clearTimeout(this.settleTimer);
+    this.settleTimer = setTimeout(() => {
+      this.settled = true;
+    }, this.settleDelay);
+  }
+
+  handleChannelChange() {
+    if (this.isRestoring) return;
+
+    this.push(this.getFocus());
+    this.settled = true;
+  }
+
+  async handlePopState(event) {
+    const link = event.state || DeepLink.parse();
+
+    clearTimeout(this.replaceTimer);
+    this.isRestoring = true;
+    this.current = link;
+
+    try {
+      if (link.channel && link.channel !== this.channelSwitcher.getActive().id) {
+        await this.channelSwitcher.switchTo(link.channel);
+      }
+
+      const { feed } = this.channelSwitcher.getActive();
+      if (link.post !== null && feed.isInitialized) {
+        if (link.id) feed.pinGenzPost(link.post, link.id);
+        await feed.scrollToPost(link.post, { duration: this.restoreDuration });
+      }
+    } finally {
+      this.isRestoring = false;
+      this.settled = true;
+    }
+  }
+
+  push(focus) {
+    clearTimeout(this.replaceTimer);
+    this.current = focus;
+    window.history.pushState(focus, '', this.buildUrl(focus));
+    this.lastReplaceTime = performance.now();
+  }
+
+  /**
+   * Update the current entry, at most once per replaceInterval (the last update always lands)
+   */
+  replace(focus) {
+    this.current = focus;
+    clearTimeout(this.replaceTimer);
+
+    const wait = this.replaceInterval - (performance.now() - this.lastReplaceTime);
+    this.replaceTimer = setTimeout(() => {
+      this.lastReplaceTime = performance.now();
+      window.history.replaceState(this.current, '', this.buildUrl(this.current));
+    }, Math.max(0, wait));
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * EngagementTracker - Turns scrolling into engagement signals for the Recommender
+ *
+ * Watches which gen-z post is focused (closest to the viewport center):
+ * - leaving a post after skipDwell or longer reports its dwell time
+ * - leaving sooner reports a skip, with the navigator's scroll velocity
+ * - coming back up to a post already seen reports a rewatch
+ *
+ * Only the user's own scrolling counts: posts reached by programmatic scrolls
+ * (auto-scroll, deep-link restores) start their dwell without reporting the
+ * post left, and dwell restarts when the feed's channel is switched away or back.
+ */
+
+export class EngagementTracker {
+  constructor(infiniteScroll, recommender, options = {}) {
+    this.infiniteScroll = infiniteScroll;
+    this.recommender = recommender;
+
+    // Configuration
+    this.skipDwell = options.skipDwell || 1200; // ms - leaving a post sooner is a skip
+    this.velocityTimeout = options.velocityTimeout || 300; // ms without rotate before velocity counts as zero
+
+    // State
+    this.navigator = null;
+    this.focusedIndex = null;
+    this.focusStartTime = 0;
+    this.seenIndices = new Set();
+    this.velocity = 0; // px/ms, smoothed from navigator rotates
+    this.lastRotateTime = 0;
+
+    // Bind methods
+    this.handleRotate = this.handleRotate.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleActive = this.handleActive.bind(this);
+  }
+
+  /**
+   * Start tracking (call once the user is in control)
+   */
+  connectNavigator(navigator) {
+    this.disconnect();
+    this.navigator = navigator;
+    navigator.on('rotate', this.handleRotate);
+    this.infiniteScroll.on('scroll', this.handleScroll);
+    this.infiniteScroll.on('active', this.handleActive);
+
+    // Whatever is on screen now starts its dwell here
+    this.focus(this.infiniteScroll.getFocusedGenzIndex());
+  }
+
+  /**
+   * Stop tracking
+   */
+  disconnect() {
+    if (!this.navigator) return;
+
+    this.navigator.off('rotate', this.handleRotate);
+    this.infiniteScroll.off('scroll', this.handleScroll);
+    this.infiniteScroll.off('active', this.handleActive);
+    this.navigator = null;
+  }
+
+  handleRotate(data) {
+    const now = performance.now();
+    const elapsed = now - this.lastRotateTime;
+    this.lastRotateTime = now;
+
+    if (elapsed > 0 && elapsed < this.velocityTimeout) {
+      this.velocity = this.velocity * 0.6 + (data.distance.delta / elapsed) * 0.4;
+    } else {
+      this.velocity = 0;
+    }
+  }
+
+  handleScroll({ source }) {
+    const index = this.infiniteScroll.getFocusedGenzIndex();
+    if (index === this.focusedIndex) return;
+
+    if (source === 'user') {
+      this.focus(index);
+    } else {
+      this.refocus(index);
+    }
+  }
+
+  handleActive() {
+    // Time spent on another channel isn't dwell on this one
+    this.focusStartTime = performance.now();
+  }
+
+  /**
+   * Get the navigator's recent scroll velocity (px/ms)
+   */
+  getVelocity() {
+    if (performance.now() - this.lastRotateTime > this.velocityTimeout) return 0;
+    return this.velocity;
+  }
+
+  /**
+   * Move focus to a post, reporting on the one being left
+   */
+  focus(index) {
+    const now = performance.now();
+    const previousIndex = this.focusedIndex;
+
+    if (previousIndex !== null) {
+      const item = this.infiniteScroll.getGenzForIndex(previousIndex);
+      const dwell = now - this.focusStartTime;
+
+      if (dwell < this.skipDwell) {
+        this.recommender.recordSkip(item, this.getVelocity());
+      } else {
+        this.recommender.recordDwell(item, dwell);
+      }
+    }
+
+    // Scrolling back up to something already seen
+    if (previousIndex !== null && index < previousIndex && this.seenIndices.has(index)) {
+      this.recommender.recordRewatch(this.infiniteScroll.getGenzForIndex(index));
+    }
+
+    this.refocus(index);
+  }
+
+  /**
+   * Move focus to a post without reporting anything
+   */
+  refocus(index) {
+    this.focusedIndex = index;
+    this.focusStartTime = performance.now();
+    this.seenIndices.add(index);
+  }
+}
@@ -3,26 +3,85 @@
  *
  * Features:
  * - Infinite scroll in both directions
- * - Shuffled content with repetitions
+ * - Shuffled content, reshuffled every cycle with no repeats within
+ *   minRepeatDistance posts (ShuffledSequence)
  * - Content fits width with no height cropping (natural aspect ratio)
  * - Connects to ScrollNavigator for scroll events
  * - Gen-Z images include comment overlay and text overlay with parallax
+ * - Gen-z carousel posts (manifest "slides") swipe horizontally through the
+ *   navigator's swipe stream, remembering the slide per post
+ * - Optional snap-to-post paging (TikTok style)
+ * - Programmatic scrolling API (scrollTo, scrollToPost, scrollBy) with
+ *   'scroll' events tagged by source ('user' for navigator input and the
+ *   snaps that finish it, 'programmatic' otherwise)
+ * - Deep-linked posts can be pinned at their index (pinGenzPost)
+ * - Content lives in ParallaxLayers (background videos, gen-z posts, plus any
+ *   passed as options.layers), each with its own source, parallax, gaps,
+ *   blend mode and z-order; positions come from a LayoutIndex per layer
+ * - Video/image elements are recycled through a MediaPool with a decoder budget
+ * - Images with manifest variants load through <picture>/srcset (AVIF, WebP,
+ *   the original file as fallback), sized for the viewport width and DPR
+ * - Upcoming gen-z posts are picked by a local Recommender (engagement
+ *   signals + tag affinity); plain shuffled order with recommend: false
+ * - Comment threads generated per post from /comments.json, scrolling
+ *   inside the post (marked as a navigator scroll region)
+ * - Likes (double-tap or button, with a heart burst) and bookmarks per post
+ *   id from a shared InteractionStore, restored when a post is re-rendered
+ * - Can run as one of several channels: inactive feeds keep their position
+ *   and elements but ignore input and release their video decoders
+ *   ('active' event with { active } when switched)
+ * - Only on-screen videos play; the next one or two in the scroll direction
+ *   preload (two when scrolling fast), everything else is unloaded
+ * - With an AudioMixer, the focused post's video is heard, crossfading with
+ *   its neighbours by distance from the viewport center
  */
+import { resolveEasing } from './easing.js';
+import { createRandom, randomItem, randomSeed } from './random.js';
+import { ParallaxLayer } from './ParallaxLayer.js';
+import { MediaPool } from './MediaPool.js';
+import { parseManifest } from './manifest.js';
+import { fetchJson } from './fetchJson.js';
+import { Recommender } from './Recommender.js';
+import { Carousel } from './Carousel.js';
+import { ParticleSystem } from './ParticleSystem.js';
+import { countReplies, formatAge, generateThread } from './comments.js';
+import { ShuffledSequence } from './ShuffledSequence.js';
 
 // Gen-Z/meme style emojis for random selection
 const GENZ_EMOJIS = ['💀', '😭', '🔥', '💯', '🤡', '👀', '😩', '🙏', '⚡', '🧠', '📱', '🎭'];
 
+// Double-tap like burst
+const HEART_EMOJIS = ['❤️', '💖', '💕', '💗'];
+
+// Action button icons (filled via CSS when active)
+const HEART_ICON = '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 21s-7.5-4.6-9.7-9.3C.9 8.5 2.9 4.5 6.6 4.5c2.1 0 3.8 1.1 5.4 3 1.6-1.9 3.3-3 5.4-3 3.7 0 5.7 4 4.3 7.2C19.5 16.4 12 21 12 21z"/></svg>';
+const BOOKMARK_ICON = '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M6 3h12v18l-6-4.5L6 21z"/></svg>';
+
+// Image variants offered as <source>s, best first (other types go on the <img>)
+const PICTURE_SOURCE_TYPES = ['image/avif', 'image/webp'];
+
+// Rendered width of a post's image: full width on mobile, the 55% column on desktop (see style.css)
+const GENZ_IMAGE_SIZES = '(max-width: 768px) calc(100vw - 64px), min(55vw, 760px)';
+
+const compactNumber = new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 });
+
 export class InfiniteScroll {
   constructor(options = {}) {
     this.manifestUrl = options.manifestUrl || '/content-manifest.json';
+    this.flashcardsUrl = options.flashcardsUrl || '/flashcards.json';
+    this.commentsUrl = options.commentsUrl || '/comments.json';
     this.bufferSize = options.bufferSize || 3; // Items to keep above/below viewport
     this.scrollSpeed = options.scrollSpeed || 1; // Multiplier for scroll distance
+    this.seed = options.seed !== undefined ? options.seed : randomSeed(); // Same seed = same feed order
+    this.random = createRandom(this.seed);
     this.items = [];
     this.shuffledItems = [];
     this.flashcards = [];
+    this.commentData = null; // Personas and lines for generated threads
+    this.visibleReplies = options.visibleReplies || 1; // Replies shown before "view N more replies"
     this.container = null;
-    this.track = null; // Track for videos (back layer)
-    this.genzTrack = null; // Track for gen-z items (front layer)
+    this.track = null; // Video layer's track (back)
+    this.genzTrack = null; // Gen-z layer's track (front)
     this.virtualOffset = 0; // Current scroll position in virtual space
     this.defaultItemHeight = 0; // Fallback height estimate
     this.navigator = null;
@@ -30,34 +89,144 @@ export class InfiniteScroll {
     // Separate tracking for videos and gen-z items
     this.videoItems = []; // Only video items
     this.genzItems = []; // Only gen-z items
-    this.videoElements = new Map(); // Map of index -> video DOM element
-    this.genzElements = new Map(); // Map of index -> gen-z DOM element
-    this.genzItemHeights = new Map(); // Heights of gen-z items
+    this.recommend = options.recommend !== undefined ? options.recommend : true; // Order gen-z posts by engagement
+    this.recommender = null;
+    this.minRepeatDistance = options.minRepeatDistance || 8; // Posts before the same item may appear again
+    this.videoSequence = null; // index -> background video
+    this.genzShuffle = null; // index -> gen-z item when not recommending
+    this.genzSequence = new Map(); // index -> recommender pick ({ item, mode, score, reasons })
+    this.maxPickGap = options.maxPickGap || 50; // Further from every pick than this, a new run of picks starts
+    this.genzPins = new Map(); // index -> pick forced by a deep link ({ item, mode: 'linked', ... })
+    this.carousels = new Map(); // Map of gen-z index -> Carousel, for rendered carousel posts
+    this.carouselSlides = new Map(); // Map of gen-z index -> slide last shown (survives recycling)
+    this.carouselDrag = null; // Carousel following the current swipe
+
+    // Likes and bookmarks (shared across channels; none without a store)
+    this.interactions = options.interactions || null;
+    this.doubleTapDelay = options.doubleTapDelay || 300; // ms between taps of a double tap
+    this.doubleTapDistance = 40; // px the second tap may land from the first
+    this.lastTap = null; // { x, y, time, postId }
+    this.heartParticles = new ParticleSystem({ random: createRandom(this.seed, 'hearts') });
+    this.mediaPool = new MediaPool({ maxDecoders: options.maxDecoders }); // Recycled media elements
+
+    // Sound (shared AudioMixer; every video stays muted without one)
+    this.audio = options.audio || null;
+    this.audioFadeRange = options.audioFadeRange || 0.5; // Fraction of the viewport a post's center may be off before it is silent
+
+    // Layers: background videos, gen-z posts, then any declared in options.layers
+    // ({ id, source, createElement, parallax, gaps, blendMode, zIndex... } - see ParallaxLayer)
+    this.videoParallax = options.videoParallax || 0.5; // Background videos scroll slower for depth
+    this.textParallax = options.textParallax || 0.08; // Post text drifts with its distance from the viewport center
     this.genzGapMin = 48; // Minimum gap between posts
     this.genzGapMax = 1200; // Maximum gap (2-3x post height to show videos behind)
-    this.genzRandomGaps = new Map(); // Random gaps per item index
+    this.videoLayer = new ParallaxLayer({
+      id: 'videos',
+      className: 'video-track',
+      zIndex: 1, // Behind the distance display
+      parallax: this.videoParallax,
+      source: index => this.getVideoForIndex(index),
+      createElement: (item, index) => this.createVideoElement(item, index),
+      releaseElement: element => this.releaseElement(element),
+      bufferSize: this.bufferSize
+    });
+    this.genzLayer = new ParallaxLayer({
+      id: 'genz',
+      className: 'genz-track',
+      zIndex: 100, // In front of the distance display
+      contentParallax: this.textParallax,
+      gaps: { strategy: 'clustered', min: this.genzGapMin, max: this.genzGapMax },
+      random: createRandom(this.seed, 'gaps'),
+      audio: 'focus',
+      source: index => this.getGenzForIndex(index),
+      createElement: (item, index) => this.createGenzElement(item, index),
+      releaseElement: (element, index) => {
+        this.releaseElement(element);
+        this.carousels.delete(index);
+      },
+      bufferSize: this.bufferSize
+    });
+    this.layers = [
+      this.videoLayer,
+      this.genzLayer,
+      ...(options.layers || []).map(layer => new ParallaxLayer({
+        random: createRandom(this.seed, `gaps:${layer.id}`),
+        releaseElement: element => this.releaseElement(element),
+        bufferSize: this.bufferSize,
+        ...layer
+      }))
+    ];
+    this.videoElements = this.videoLayer.elements; // Map of index -> video DOM element
+    this.genzElements = this.genzLayer.elements; // Map of index -> gen-z DOM element
+    this.genzLayout = this.genzLayer.layout; // Measured heights, gaps and cumulative positions
+
+    // Playback tiers follow scroll velocity
+    this.preloadLeadTime = options.preloadLeadTime || 800; // ms - warm two posts ahead if a screen is covered in this time
+    this.velocityTimeout = 150; // ms without scroll before velocity counts as zero
+    this.scrollVelocity = 0; // px/ms, smoothed
+    this.scrollDirection = 1; // Last non-zero direction
+    this.lastScrollTime = 0;
+
+    // Snap-to-post paging (free scroll by default)
+    this.snapToPosts = options.snapToPosts || false;
+    this.snapDuration = options.snapDuration || 450; // ms
+    this.snapEasing = options.snapEasing || 'easeOutCubic'; // Easing name or function
+    this.snapFlickVelocity = options.snapFlickVelocity || 0.6; // px/ms - faster releases advance one post
+    this.snapThreshold = options.snapThreshold || 0.15; // Fraction of viewport a gesture must move to leave a post
+    this.gestureStartIndex = 0;
+    this.gestureStartOffset = 0;
+
+    // Programmatic scrolling
+    this.scrollAnimation = null; // { id, resolve } while an animated scroll runs
+    this.eventListeners = {};
+
+    // Channels: only the active feed renders and follows the navigator
+    this.isActive = options.active !== undefined ? options.active : true;
+    this.isInitialized = false;
   }
 
   async init() {
-    // Load manifest and flashcards in parallel
-    const [manifestResponse, flashcardsResponse] = await Promise.all([
-      fetch(this.manifestUrl),
-      fetch('/flashcards.json')
+    // Load manifest, flashcards and comments in parallel (posts work without comments)
+    const [manifestData, flashcards, commentData] = await Promise.all([
+      fetchJson(this.manifestUrl),
+      fetchJson(this.flashcardsUrl),
+      fetchJson(this.commentsUrl).catch(error => {
+        console.warn('Comments unavailable, posts show the flashcard only', error);
+        return null;
+      })
     ]);
+    this.commentData = commentData;
+
+    // Invalid entries are dropped (one error each) instead of rendering blank slots
+    const manifest = parseManifest(manifestData);
+    manifest.errors.forEach(error => console.error(`Content manifest ${error}`));
+    this.items = manifest.items;
+    this.flashcards = flashcards;
+
+    console.log(`Loaded ${this.items.length} items (${manifest.skipped} disabled, ${manifest.errors.length} invalid) and ${this.flashcards.length} flashcards`);
+
+    // Separate video and gen-z items (weight 0 is never shown)
+    const shown = this.items.filter(item => item.weight > 0);
+    this.videoItems = shown.filter(item => item.type === 'video' && !item.isGenZ);
+    this.genzItems = shown.filter(item => item.isGenZ);
+
+    // Endless reshuffled orders for both layers
+    this.videoSequence = new ShuffledSequence(this.videoItems, {
+      seed: this.seed,
+      stream: 'videos',
+      minDistance: this.minRepeatDistance
+    });
+    this.genzShuffle = new ShuffledSequence(this.genzItems, {
+      seed: this.seed,
+      stream: 'genz',
+      minDistance: this.minRepeatDistance
+    });
 
-    this.items = await manifestResponse.json();
-    this.flashcards = await flashcardsResponse.json();
-
-    console.log(`Loaded ${this.items.length} items and ${this.flashcards.length} flashcards`);
-
-    // Separate video and gen-z items
-    this.videoItems = this.items.filter(item => item.type === 'video' && !item.isGenZ);
-    this.genzItems = this.items.filter(item => item.isGenZ);
-
-    // Shuffle gen-z items
-    this.shuffleArray(this.genzItems);
-    // Shuffle video items
-    this.shuffleArray(this.videoItems);
+    if (this.recommend) {
+      this.recommender = new Recommender(this.genzItems, {
+        random: this.random,
+        minRepeatDistance: this.minRepeatDistance
+      });
+    }
 
     console.log(`Found ${this.videoItems.length} videos and ${this.genzItems.length} gen-z items`);
 
@@ -76,17 +245,26 @@ export class InfiniteScroll {
       this.render();
     });
 
-    return this;
-  }
+    // Keep every rendered copy of a post in sync with its likes
+    if (this.interactions) {
+      this.interactions.on('change', ({ id }) => {
+        for (const element of this.genzElements.values()) {
+          if (element.dataset.postId === id) this.applyInteractionState(element);
+        }
+      });
+    }
 
-  /**
-   * Shuffle array in place using Fisher-Yates
-   */
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
+    // Sound switched on or off: re-mix what is playing
+    if (this.audio) {
+      this.audio.on('change', () => {
+        if (this.isActive) this.updatePlayback();
+      });
     }
+
+    this.isInitialized = true;
+    this.setActive(this.isActive);
+
+    return this;
   }
 
   /**
@@ -103,14 +281,355 @@ export class InfiniteScroll {
     this.navigator = navigator;
 
     navigator.on('rotate', (data) => {
+      if (!this.isActive) return;
+
       // Use the scroll delta to update virtual offset
       const scrollDelta = data.distance.delta * this.scrollSpeed;
-      this.virtualOffset += scrollDelta;
 
       // No clamping - allow infinite scroll in both directions
       // The getItemForIndex method handles wrapping with modulo
+      this.setOffset(this.virtualOffset + scrollDelta, 'user');
+    });
+
+    navigator.on('start', () => {
+      if (!this.isActive) return;
+
+      // Grabbing the feed interrupts any programmatic scroll (e.g. a snap) in progress
+      this.cancelScroll();
+      this.gestureStartIndex = this.getFocusedGenzIndex();
+      this.gestureStartOffset = this.virtualOffset;
+    });
+
+    navigator.on('fling', (event) => {
+      if (!this.isActive || !this.snapToPosts || Math.abs(event.velocity) < this.snapFlickVelocity) return;
+
+      // A fast flick advances exactly one post instead of gliding
+      event.preventDefault();
+      this.snapToGenzIndex(this.gestureStartIndex + Math.sign(event.velocity));
+    });
+
+    navigator.on('end', () => {
+      if (!this.isActive || !this.snapToPosts || this.isScrolling()) return;
+      this.snapToNearestPost();
+    });
+
+    // Horizontal swipes that start on a carousel belong to it
+    navigator.on('swipestart', (swipe) => {
+      if (!this.isActive) return;
+
+      for (const carousel of this.carousels.values()) {
+        if (carousel.containsPoint(swipe.startX, swipe.startY) && swipe.claim(this)) {
+          this.carouselDrag = carousel;
+          break;
+        }
+      }
+    });
+
+    navigator.on('swipemove', (swipe) => {
+      if (swipe.owner !== this || !this.carouselDrag) return;
+      this.carouselDrag.drag(swipe.dx);
+    });
 
+    navigator.on('swipeend', (swipe) => {
+      if (swipe.owner !== this || !this.carouselDrag) return;
+      this.carouselDrag.release(swipe.cancelled ? 0 : swipe.dx, swipe.velocity);
+      this.carouselDrag = null;
+    });
+
+    navigator.on('tap', (tap) => {
+      if (!this.isActive) return;
+      this.handleTap(tap);
+    });
+  }
+
+  /**
+   * Taps press post buttons and reply expanders; two quick taps on a post like it
+   */
+  handleTap({ x, y, time }) {
+    // The interaction area sits on top, so look through it
+    const hit = document.elementsFromPoint(x, y).find(element => this.genzTrack.contains(element));
+    const post = hit && hit.closest('.genz-item');
+    if (!post) {
+      this.lastTap = null;
+      return;
+    }
+
+    const expander = hit.closest('.genz-comment-expand');
+    if (expander) {
+      this.lastTap = null;
+      this.expandReplies(post, expander);
+      return;
+    }
+
+    if (!this.interactions) return;
+
+    const postId = post.dataset.postId;
+    const action = hit.closest('.genz-action');
+    if (action) {
+      this.lastTap = null;
+      if (action.dataset.action === 'like') this.interactions.toggleLike(postId);
+      if (action.dataset.action === 'save') this.interactions.toggleSave(postId);
+      return;
+    }
+
+    const last = this.lastTap;
+    const isDoubleTap = last && last.postId === postId &&
+      time - last.time < this.doubleTapDelay &&
+      Math.hypot(x - last.x, y - last.y) < this.doubleTapDistance;
+
+    if (isDoubleTap) {
+      // Double tap only ever likes (never unlikes), but always bursts
+      this.lastTap = null;
+      this.interactions.set(postId, { liked: true });
+      this.burstHearts(x, y);
+    } else {
+      this.lastTap = { x, y, time, postId };
+    }
+  }
+
+  /**
+   * Big heart pop plus a small particle burst at a viewport position
+   */
+  burstHearts(x, y) {
+    const heart = document.createElement('div');
+    heart.className = 'like-heart-pop';
+    heart.textContent = '❤️';
+    heart.style.left = `${x}px`;
+    heart.style.top = `${y}px`;
+    heart.addEventListener('animationend', () => heart.remove());
+    document.body.appendChild(heart);
+
+    this.heartParticles.burst({
+      count: 14,
+      x,
+      y,
+      spread: 120,
+      angle: 270,
+      velocity: { min: 250, max: 600 },
+      gravity: 700,
+      fadeDelay: { min: 300, max: 700 },
+      emojis: HEART_EMOJIS
+    });
+  }
+
+  /**
+   * Show this feed and follow the navigator, or hide it keeping its position
+   * and elements (videos are paused and give their decoders back)
+   */
+  setActive(active) {
+    if (active !== this.isActive) {
+      this.isActive = active;
+      this.emit('active', { active });
+    }
+    if (!this.container) return;
+
+    this.container.hidden = !active;
+
+    if (active) {
+      this.calculateDimensions();
       this.render();
+    } else {
+      this.cancelScroll();
+      for (const layer of this.layers) {
+        for (const element of layer.elements.values()) {
+          element.querySelectorAll('video').forEach(video => this.mediaPool.detachSource(video));
+        }
+      }
+    }
+  }
+
+  /**
+   * Set whether the feed pages post by post (true) or scrolls freely (false)
+   */
+  setSnapToPosts(enabled) {
+    this.snapToPosts = enabled;
+    if (enabled) {
+      this.snapToNearestPost();
+    }
+  }
+
+  /**
+   * Snap to the post nearest the viewport center after a gesture
+   */
+  snapToNearestPost() {
+    let index = this.getFocusedGenzIndex();
+
+    // A gesture that moved far enough leaves its post even if it didn't reach the next one
+    const moved = this.virtualOffset - this.gestureStartOffset;
+    if (index === this.gestureStartIndex && Math.abs(moved) > this.viewportHeight * this.snapThreshold) {
+      index += Math.sign(moved);
+    }
+
+    this.snapToGenzIndex(index);
+  }
+
+  /**
+   * Animate so the given gen-z post is centered in the viewport
+   */
+  snapToGenzIndex(index) {
+    return this.scrollToPost(index, { duration: this.snapDuration, easing: this.snapEasing, source: 'user' });
+  }
+
+  /**
+   * Scroll to an absolute offset
+   *
+   * Resolves true when the scroll finishes, false if it was cancelled or
+   * superseded by another scroll. Its 'scroll' events carry options.source.
+   */
+  scrollTo(offset, { duration = 0, easing = 'easeOutCubic', source = 'programmatic' } = {}) {
+    this.cancelScroll();
+
+    if (duration <= 0) {
+      this.setOffset(offset, source);
+      return Promise.resolve(true);
+    }
+
+    const ease = resolveEasing(easing);
+    const start = this.virtualOffset;
+    const distance = offset - start;
+    const startTime = performance.now();
+
+    return new Promise((resolve) => {
+      const animation = { id: null, resolve };
+
+      const step = () => {
+        const progress = Math.min((performance.now() - startTime) / duration, 1);
+
+        this.setOffset(start + distance * ease(progress), source);
+
+        // A scroll listener may have cancelled or replaced this animation
+        if (this.scrollAnimation !== animation) return;
+
+        if (progress < 1) {
+          animation.id = requestAnimationFrame(step);
+        } else {
+          this.scrollAnimation = null;
+          resolve(true);
+        }
+      };
+
+      animation.id = requestAnimationFrame(step);
+      this.scrollAnimation = animation;
+    });
+  }
+
+  /**
+   * Scroll so the gen-z post at the given index is centered in the viewport
+   */
+  scrollToPost(index, options = {}) {
+    return this.scrollTo(this.getGenzCenterOffset(index), options);
+  }
+
+  /**
+   * Scroll by a relative amount of pixels
+   */
+  scrollBy(pixels, options = {}) {
+    return this.scrollTo(this.virtualOffset + pixels, options);
+  }
+
+  /**
+   * Stop a running animated scroll where it is
+   */
+  cancelScroll() {
+    if (!this.scrollAnimation) return;
+
+    const { id, resolve } = this.scrollAnimation;
+    cancelAnimationFrame(id);
+    this.scrollAnimation = null;
+    resolve(false);
+  }
+
+  /**
+   * Check if an animated scroll is running
+   */
+  isScrolling() {
+    return this.scrollAnimation !== null;
+  }
+
+  /**
+   * Get the current scroll position in virtual space
+   */
+  getOffset() {
+    return this.virtualOffset;
+  }
+
+  /**
+   * Move to an offset, emit 'scroll' and render
+   */
+  setOffset(offset, source) {
+    const delta = offset - this.virtualOffset;
+    this.virtualOffset = offset;
+    this.trackVelocity(delta);
+
+    this.emit('scroll', {
+      offset: this.virtualOffset,
+      delta,
+      deltaAbs: Math.abs(delta),
+      source
+    });
+
+    this.render();
+  }
+
+  /**
+   * Update the smoothed scroll velocity (covers navigator input and programmatic scrolls)
+   */
+  trackVelocity(delta) {
+    const now = performance.now();
+    const elapsed = now - this.lastScrollTime;
+    this.lastScrollTime = now;
+
+    if (elapsed <= 0) return;
+    const velocity = elapsed < this.velocityTimeout ? delta / elapsed : 0;
+    this.scrollVelocity = this.scrollVelocity * 0.7 + velocity * 0.3;
+    if (delta !== 0) this.scrollDirection = Math.sign(delta);
+  }
+
+  /**
+   * Get the current scroll velocity in px/ms (0 once scrolling has stopped)
+   */
+  getScrollVelocity() {
+    if (performance.now() - this.lastScrollTime > this.velocityTimeout) return 0;
+    return this.scrollVelocity;
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
     });
   }
 
@@ -119,17 +638,10 @@ export class InfiniteScroll {
     this.container = document.createElement('div');
     this.container.className = 'infinite-scroll-container';
 
-    // Create track for videos (back layer - continuous background)
-    this.track = document.createElement('div');
-    this.track.className = 'infinite-scroll-track';
-
-    // Create track for gen-z items (front layer)
-    this.genzTrack = document.createElement('div');
-    this.genzTrack.className = 'infinite-scroll-track genz-track';
-
-    // Add layers to container
-    this.container.appendChild(this.track);
-    this.container.appendChild(this.genzTrack);
+    // One track per layer (stacked by each layer's zIndex)
+    this.layers.forEach(layer => layer.mount(this.container));
+    this.track = this.videoLayer.track;
+    this.genzTrack = this.genzLayer.track;
     document.body.insertBefore(this.container, document.body.firstChild);
   }
 
@@ -141,15 +653,16 @@ export class InfiniteScroll {
     this.defaultItemHeight = viewportHeight;
     this.viewportHeight = viewportHeight;
     this.viewportWidth = viewportWidth;
+
+    // Unmeasured items are a viewport tall; track padding offsets the first item
+    this.layers.forEach(layer => layer.resize(viewportHeight));
   }
 
   /**
    * Get video item for a given index (with wrapping)
    */
   getVideoForIndex(index) {
-    if (this.videoItems.length === 0) return null;
-    const normalizedIndex = ((index % this.videoItems.length) + this.videoItems.length) % this.videoItems.length;
-    return this.videoItems[normalizedIndex];
+    return this.videoSequence.get(index);
   }
 
   /**
@@ -157,8 +670,90 @@ export class InfiniteScroll {
    */
   getGenzForIndex(index) {
     if (this.genzItems.length === 0) return null;
-    const normalizedIndex = ((index % this.genzItems.length) + this.genzItems.length) % this.genzItems.length;
-    return this.genzItems[normalizedIndex];
+    if (this.genzPins.has(index)) return this.genzPins.get(index).item;
+
+    if (this.recommender) {
+      const entry = this.getGenzPick(index);
+      return entry ? entry.item : null;
+    }
+
+    return this.genzShuffle.get(index);
+  }
+
+  /**
+   * Get the recommender's pick for a gen-z index, with the reasons it was chosen
+   * Picks are made in order outward from the nearest earlier pick and never
+   * change afterwards, so scrolling back shows the same posts. An index far
+   * from every pick (a deep link) starts a new run there instead of picking
+   * every post in between.
+   */
+  getGenzPick(index) {
+    if (!this.recommender) return null;
+    if (this.genzPins.has(index)) return this.genzPins.get(index);
+    if (this.genzSequence.has(index)) return this.genzSequence.get(index);
+
+    // Extend the nearest run down the feed...
+    for (let from = index - 1; from >= index - this.maxPickGap; from--) {
+      if (!this.genzSequence.has(from)) continue;
+      for (let i = from + 1; i <= index; i++) {
+        const recent = this.getGenzSequenceItems(i - 1, -1, this.recommender.historyLength);
+        this.genzSequence.set(i, this.recommender.pick(recent));
+      }
+      return this.genzSequence.get(index);
+    }
+
+    // ...or up it
+    for (let from = index + 1; from <= index + this.maxPickGap; from++) {
+      if (!this.genzSequence.has(from)) continue;
+      for (let i = from - 1; i >= index; i--) {
+        const recent = this.getGenzSequenceItems(i + 1, 1, this.recommender.historyLength);
+        this.genzSequence.set(i, this.recommender.pick(recent));
+      }
+      return this.genzSequence.get(index);
+    }
+
+    // ...or start a new run
+    this.genzSequence.set(index, this.recommender.pick([]));
+    return this.genzSequence.get(index);
+  }
+
+  /**
+   * Show a specific post (by manifest id) at a gen-z index, e.g. the post a
+   * shared link points at - the viewer's own order may put something else there
+   * Returns false if the id is not in this feed.
+   */
+  pinGenzPost(index, id) {
+    const item = this.genzItems.find(genz => genz.id === id);
+    if (!item) return false;
+    if (this.getGenzForIndex(index) === item) return true;
+
+    this.genzPins.set(index, {
+      item,
+      mode: 'linked',
+      score: 0,
+      reasons: []
+    });
+    this.carouselSlides.delete(index);
+
+    // Already rendered with the old item: rebuild it
+    if (this.genzElements.has(index)) {
+      this.genzLayer.invalidate(index);
+      this.render();
+    }
+    return true;
+  }
+
+  /**
+   * Already picked items walking from an index in one direction (nearest first)
+   */
+  getGenzSequenceItems(fromIndex, step, count) {
+    const items = [];
+    for (let i = fromIndex; items.length < count; i += step) {
+      const entry = this.genzSequence.get(i);
+      if (!entry) break;
+      items.push(entry.item);
+    }
+    return items;
   }
 
   /**
@@ -174,8 +769,8 @@ export class InfiniteScroll {
   /**
    * Create the comment overlay for gen-z items
    */
-  createGenZOverlay(flashcardIndex) {
-    const flashcard = this.getFlashcard(flashcardIndex);
+  createGenZOverlay(item) {
+    const flashcard = this.getFlashcard(item.flashcardIndex);
     if (!flashcard) return null;
 
     const overlay = document.createElement('div');
@@ -185,9 +780,10 @@ export class InfiniteScroll {
     const header = document.createElement('div');
     header.className = 'genz-header';
     header.innerHTML = `
-      <img class="avatar" src="/content/profile_pic/genzzz.jpg" alt="genzzz">
-      <span class="username">genzzz</span>
+      <img class="avatar" src="/content/profile_pic/genzzz.jpg" alt="">
+      <span class="username"></span>
     `;
+    header.querySelector('.username').textContent = item.author || 'genzzz';
     overlay.appendChild(header);
 
     // Divider line
@@ -195,53 +791,170 @@ export class InfiniteScroll {
     divider.className = 'genz-divider';
     overlay.appendChild(divider);
 
-    // Comments section
+    // Comments section - scrolls by itself once replies are expanded
     const comments = document.createElement('div');
     comments.className = 'genz-comments';
+    comments.dataset.scrollRegion = '';
 
-    // First comment: @mind_sanity_patrol + title
-    const comment1 = document.createElement('div');
-    comment1.className = 'genz-comment';
-    comment1.innerHTML = `
-      <img class="avatar" src="/content/profile_pic/mind_sanity_patrol.jpg" alt="mind_sanity_patrol">
-      <span class="comment-text">
-        <span class="mention">@mind_sanity_patrol</span> ${flashcard.title}
-      </span>
-    `;
-    comments.appendChild(comment1);
-
-    // Second comment: @mind_sanity_patrol + content
-    const comment2 = document.createElement('div');
-    comment2.className = 'genz-comment';
-    comment2.innerHTML = `
-      <img class="avatar" src="/content/profile_pic/mind_sanity_patrol.jpg" alt="mind_sanity_patrol">
-      <span class="comment-text">
-        <span class="mention">@mind_sanity_patrol</span> ${flashcard.content}
-      </span>
-    `;
-    comments.appendChild(comment2);
+    // Pinned: @mind_sanity_patrol explains the flashcard (title, then content)
+    const narrator = { handle: 'mind_sanity_patrol', avatar: '/content/profile_pic/mind_sanity_patrol.jpg' };
+    comments.appendChild(this.createComment({ persona: narrator, text: flashcard.title, pinned: true }));
+    comments.appendChild(this.createComment({ persona: narrator, text: flashcard.content, pinned: true }));
+
+    // Then the crowd
+    generateThread(item, this.commentData).forEach(comment => {
+      comments.appendChild(this.createComment(comment));
+    });
 
     overlay.appendChild(comments);
 
     return overlay;
   }
 
+  /**
+   * Create one comment with its replies (the first visibleReplies shown, the rest behind an expander)
+   */
+  createComment(comment) {
+    const element = document.createElement('div');
+    element.className = 'genz-comment';
+
+    const { persona } = comment;
+    let avatar;
+    if (persona.avatar) {
+      avatar = document.createElement('img');
+      avatar.className = 'avatar';
+      avatar.src = persona.avatar;
+      avatar.alt = persona.handle;
+    } else {
+      // No picture: first letter on the persona's color
+      avatar = document.createElement('span');
+      avatar.className = 'avatar avatar-initial';
+      avatar.textContent = persona.handle[0];
+      if (persona.color) avatar.style.background = persona.color;
+    }
+    element.appendChild(avatar);
+
+    const body = document.createElement('div');
+    body.className = 'comment-body';
+
+    const text = document.createElement('span');
+    text.className = 'comment-text';
+    const mention = document.createElement('span');
+    mention.className = 'mention';
+    mention.textContent = `@${persona.handle}`;
+    text.append(mention, ' ', comment.mention ? `@${comment.mention} ${comment.text}` : comment.text);
+    body.appendChild(text);
+
+    const meta = document.createElement('div');
+    meta.className = 'comment-meta';
+    meta.textContent = comment.pinned ? 'pinned' : formatAge(comment.age);
+    body.appendChild(meta);
+
+    const replies = comment.replies || [];
+    if (replies.length > 0) {
+      const replyList = document.createElement('div');
+      replyList.className = 'genz-replies';
+
+      replies.forEach((reply, index) => {
+        const replyElement = this.createComment(reply);
+        replyElement.hidden = index >= this.visibleReplies;
+        replyList.appendChild(replyElement);
+      });
+
+      const hiddenReplies = replies.slice(this.visibleReplies);
+      if (hiddenReplies.length > 0) {
+        const hiddenCount = hiddenReplies.reduce((total, reply) => total + 1 + countReplies(reply), 0);
+        const expander = document.createElement('button');
+        expander.type = 'button';
+        expander.className = 'genz-comment-expand';
+        expander.textContent = `view ${hiddenCount} more ${hiddenCount === 1 ? 'reply' : 'replies'}`;
+        replyList.appendChild(expander);
+      }
+
+      body.appendChild(replyList);
+    }
+
+    element.appendChild(body);
+    return element;
+  }
+
+  /**
+   * Show the replies behind a "view N more replies" expander
+   */
+  expandReplies(post, expander) {
+    const replyList = expander.parentElement;
+    for (const reply of replyList.children) {
+      reply.hidden = false;
+    }
+    expander.remove();
+
+    // The thread scrolls inside itself, but on narrow screens it can still grow the post
+    this.measureGenzElement(Number(post.dataset.genzIndex), post);
+  }
+
+  /**
+   * Create the like and bookmark buttons for a post
+   */
+  createGenZActions() {
+    const actions = document.createElement('div');
+    actions.className = 'genz-actions';
+    actions.innerHTML = `
+      <button type="button" class="genz-action genz-like" data-action="like" aria-label="Like">
+        ${HEART_ICON}<span class="genz-action-count"></span>
+      </button>
+      <button type="button" class="genz-action genz-save" data-action="save" aria-label="Save">
+        ${BOOKMARK_ICON}
+      </button>
+    `;
+    return actions;
+  }
+
+  /**
+   * Show a post's like and bookmark state (on render and whenever it changes)
+   */
+  applyInteractionState(element) {
+    const likeButton = element.querySelector('.genz-like');
+    const saveButton = element.querySelector('.genz-save');
+    if (!likeButton || !saveButton) return;
+
+    const postId = element.dataset.postId;
+    const { liked, saved } = this.interactions.get(postId);
+
+    likeButton.classList.toggle('active', liked);
+    likeButton.setAttribute('aria-pressed', String(liked));
+    likeButton.querySelector('.genz-action-count').textContent =
+      compactNumber.format(this.getBaseLikeCount(postId) + (liked ? 1 : 0));
+
+    saveButton.classList.toggle('active', saved);
+    saveButton.setAttribute('aria-pressed', String(saved));
+  }
+
+  /**
+   * Likes from everyone else - made up, but stable per post
+   */
+  getBaseLikeCount(postId) {
+    const random = createRandom(postId, 'likes');
+    return 20 + Math.floor(Math.pow(random(), 3) * 250000); // Mostly small, a few viral
+  }
+
   /**
    * Create the text overlay for gen-z items (displayed on the image)
+   * key seeds the emojis: the post index, or "index/slide" for carousel slides
    */
-  createGenZTextOverlay(flashcardIndex) {
+  createGenZTextOverlay(flashcardIndex, key) {
+    if (flashcardIndex === undefined) return null;
     const flashcard = this.getFlashcard(flashcardIndex);
     if (!flashcard || !flashcard.genZ) return null;
 
     const overlay = document.createElement('div');
     overlay.className = 'genz-text-overlay';
 
-    // Pick 1-2 random emojis
-    const numEmojis = Math.random() > 0.5 ? 2 : 1;
+    // Pick 1-2 random emojis (seeded per post, so scrolling back shows the same ones)
+    const random = createRandom(this.seed, `emojis:${key}`);
+    const numEmojis = random() > 0.5 ? 2 : 1;
     let emojis = '';
     for (let i = 0; i < numEmojis; i++) {
-      const randomIndex = Math.floor(Math.random() * GENZ_EMOJIS.length);
-      emojis += ' ' + GENZ_EMOJIS[randomIndex];
+      emojis += ' ' + randomItem(GENZ_EMOJIS, random);
     }
 
     overlay.textContent = flashcard.genZ + emojis;
@@ -251,269 +964,352 @@ export class InfiniteScroll {
   /**
    * Create a video element for the background
    */
-  createVideoElement(index) {
-    const item = this.getVideoForIndex(index);
-    if (!item) return null;
-
+  createVideoElement(item, index) {
     const wrapper = document.createElement('div');
     wrapper.className = 'infinite-scroll-item';
     wrapper.dataset.videoIndex = index;
 
-    const video = document.createElement('video');
-    video.src = item.src;
-    video.muted = true;
-    video.loop = true;
-    video.playsInline = true;
-    video.autoplay = true;
-    video.preload = 'auto';
+    // Source is attached by updatePlayback() within the decoder budget
+    const video = this.mediaPool.acquire('video');
+    video.dataset.src = item.src;
+    if (item.poster) video.poster = item.poster;
     wrapper.appendChild(video);
 
-    video.play().catch(() => {});
-
     return wrapper;
   }
 
   /**
    * Create a gen-z element with overlays
    */
-  createGenzElement(index) {
-    const item = this.getGenzForIndex(index);
-    if (!item) return null;
-
+  createGenzElement(item, index) {
     const wrapper = document.createElement('div');
     wrapper.className = 'infinite-scroll-item genz-item';
     wrapper.dataset.genzIndex = index;
+    wrapper.dataset.postId = item.id;
     wrapper.dataset.isGenZ = 'true';
     wrapper.dataset.flashcardIndex = item.flashcardIndex;
 
-    const onMediaLoad = () => {
-      const height = wrapper.offsetHeight;
-      if (height > 0) {
-        const oldHeight = this.genzItemHeights.get(index);
-        this.genzItemHeights.set(index, height);
-        if (!oldHeight || Math.abs(oldHeight - height) > 10) {
-          this.render();
-        }
-      }
-    };
+    const onMediaLoad = () => this.measureGenzElement(index, wrapper);
 
     // Create media container
     const mediaContainer = document.createElement('div');
     mediaContainer.className = 'genz-image-container';
 
-    if (item.type === 'video') {
-      const video = document.createElement('video');
-      video.src = item.src;
-      video.muted = true;
-      video.loop = true;
-      video.playsInline = true;
-      video.autoplay = true;
-      video.preload = 'auto';
-      video.addEventListener('loadedmetadata', onMediaLoad);
-      mediaContainer.appendChild(video);
-      video.play().catch(() => {});
+    if (item.slides && item.slides.length > 1) {
+      // Carousel: one slide per media entry, each with its own text overlay
+      const slides = item.slides.map((media, slideIndex) => {
+        const slide = document.createElement('div');
+        slide.appendChild(this.createGenzMedia(media, slideIndex === 0 ? onMediaLoad : null));
+
+        const textOverlay = this.createGenZTextOverlay(media.flashcardIndex, slideIndex === 0 ? index : `${index}/${slideIndex}`);
+        if (textOverlay) {
+          slide.appendChild(textOverlay);
+        }
+        return slide;
+      });
+
+      this.carousels.set(index, new Carousel(mediaContainer, slides, {
+        startSlide: this.carouselSlides.get(index),
+        onChange: (slide) => {
+          this.carouselSlides.set(index, slide);
+          this.emit('slide', { index, slide, item });
+          this.updatePlayback();
+        }
+      }));
+
+      // Every slide takes the first one's shape
+      const cover = item.slides[0];
+      if (cover.width && cover.height) {
+        mediaContainer.style.aspectRatio = `${cover.width} / ${cover.height}`;
+      }
     } else {
-      const img = document.createElement('img');
-      img.src = item.src;
-      img.alt = '';
-      img.loading = 'eager';
-      img.addEventListener('load', onMediaLoad);
-      mediaContainer.appendChild(img);
-    }
+      mediaContainer.appendChild(this.createGenzMedia(item, onMediaLoad));
 
-    // Add text overlay
-    const textOverlay = this.createGenZTextOverlay(item.flashcardIndex);
-    if (textOverlay) {
-      mediaContainer.appendChild(textOverlay);
+      // Add text overlay
+      const textOverlay = this.createGenZTextOverlay(item.flashcardIndex, index);
+      if (textOverlay) {
+        mediaContainer.appendChild(textOverlay);
+      }
     }
 
     wrapper.appendChild(mediaContainer);
 
     // Add comment overlay
-    const overlay = this.createGenZOverlay(item.flashcardIndex);
+    const overlay = this.createGenZOverlay(item);
     if (overlay) {
+      if (this.interactions) overlay.appendChild(this.createGenZActions());
       wrapper.appendChild(overlay);
+      if (this.interactions) this.applyInteractionState(wrapper);
     }
 
     return wrapper;
   }
 
   /**
-   * Generate gap pattern: 2-5 posts with small gaps, then one big gap
+   * Record a rendered post's height, re-rendering if it changed noticeably
    */
-  generateGapPattern() {
-    this.genzRandomGaps.clear();
-    let index = 0;
+  measureGenzElement(index, element) {
+    const height = element.offsetHeight;
+    if (height > 0) {
+      const oldHeight = this.genzLayout.getMeasuredSize(index);
+      this.genzLayout.setSize(index, height);
+      if (!oldHeight || Math.abs(oldHeight - height) > 10) {
+        this.render();
+      }
+    }
+  }
 
-    // Generate pattern for a large number of items (will wrap with modulo)
-    while (index < 1000) {
-      // 2-5 posts with small gaps
-      const groupSize = 2 + Math.floor(Math.random() * 4); // 2, 3, 4, or 5
+  /**
+   * Create the image or video for a gen-z post or carousel slide
+   */
+  createGenzMedia(media, onMediaLoad) {
+    let element;
+
+    if (media.type === 'video') {
+      element = this.mediaPool.acquire('video');
+      element.dataset.src = media.src;
+      if (media.poster) element.poster = media.poster;
+      if (media.captions) this.addCaptions(element, media.captions);
+      element.onloadedmetadata = onMediaLoad; // Pooled: the handler is reset when parked
+    } else {
+      element = this.mediaPool.acquire('image');
+      element.alt = media.alt;
+      element.loading = 'eager';
+      element.onload = onMediaLoad;
+    }
 
-      for (let i = 0; i < groupSize && index < 1000; i++) {
-        // Small gap with slight variation
-        this.genzRandomGaps.set(index, this.genzGapMin + Math.random() * 30);
-        index++;
-      }
+    // Reserve the right height before the media loads
+    if (media.width && media.height) {
+      element.width = media.width;
+      element.height = media.height;
+    }
 
-      // One big gap after the group
-      if (index < 1000) {
-        this.genzRandomGaps.set(index, this.genzGapMin + 400 + Math.random() * (this.genzGapMax - 400));
-        index++;
-      }
+    if (media.type === 'video') return element;
+
+    // Variants (srcset) are set up before src, so the full-size file isn't fetched first
+    const image = media.variants ? this.createPicture(element, media.variants) : element;
+    element.src = media.src;
+    return image;
+  }
+
+  /**
+   * Wrap a post image in a <picture> offering its manifest variants, so the
+   * browser picks the format it supports and the width the viewport and DPR need
+   */
+  createPicture(img, variants) {
+    const picture = document.createElement('picture');
+    picture.className = 'genz-picture';
+
+    const srcset = list => list.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+    for (const type of PICTURE_SOURCE_TYPES) {
+      const ofType = variants.filter(variant => variant.type === type);
+      if (ofType.length === 0) continue;
+
+      const source = document.createElement('source');
+      source.type = type;
+      source.srcset = srcset(ofType);
+      source.sizes = GENZ_IMAGE_SIZES;
+      picture.appendChild(source);
+    }
+
+    // Any other sizes (PNG, JPEG) go on the <img> itself; without them it loads the original src
+    const fallback = variants.filter(variant => !PICTURE_SOURCE_TYPES.includes(variant.type));
+    if (fallback.length > 0) {
+      img.srcset = srcset(fallback);
+      img.sizes = GENZ_IMAGE_SIZES;
     }
+
+    picture.appendChild(img);
+    return picture;
+  }
+
+  /**
+   * Attach a WebVTT captions track to a video
+   */
+  addCaptions(video, src) {
+    const track = document.createElement('track');
+    track.kind = 'captions';
+    track.src = src;
+    track.default = true;
+    video.appendChild(track);
   }
 
   /**
    * Get gap for a gen-z item (from pre-generated pattern)
    */
   getGenzGap(index) {
-    // Generate pattern if not exists
-    if (this.genzRandomGaps.size === 0) {
-      this.generateGapPattern();
-    }
-
-    // Use modulo to wrap for infinite scroll
-    const normalizedIndex = ((index % 1000) + 1000) % 1000;
-    return this.genzRandomGaps.get(normalizedIndex) || this.genzGapMin;
+    return this.genzLayout.getGap(index);
   }
 
   /**
    * Get height of a gen-z item (with random gap)
    */
   getGenzItemHeight(index) {
-    return (this.genzItemHeights.get(index) || this.defaultItemHeight) + this.getGenzGap(index);
+    return this.genzLayout.getSize(index) + this.getGenzGap(index);
   }
 
   /**
    * Get cumulative position for a gen-z item (including gaps)
    */
   getGenzPosition(index) {
-    let position = 0;
-    if (index > 0) {
-      for (let i = 0; i < index; i++) {
-        position += this.getGenzItemHeight(i);
-      }
-    } else if (index < 0) {
-      for (let i = -1; i >= index; i--) {
-        position -= this.getGenzItemHeight(i);
-      }
-    }
-    return position;
+    return this.genzLayout.getPosition(index);
   }
 
   /**
    * Find which gen-z index is at a given scroll position
    */
   findGenzIndexAtPosition(scrollY) {
-    if (scrollY >= 0) {
-      let position = 0;
-      let index = 0;
-      while (position + this.getGenzItemHeight(index) < scrollY) {
-        position += this.getGenzItemHeight(index);
-        index++;
-        if (index > 1000) break;
-      }
-      return index;
-    } else {
-      let position = 0;
-      let index = -1;
-      while (position > scrollY) {
-        position -= this.getGenzItemHeight(index);
-        index--;
-        if (index < -1000) break;
+    return this.genzLayout.findIndexAt(scrollY);
+  }
+
+  /**
+   * Get the virtualOffset at which a gen-z item is centered in the viewport
+   */
+  getGenzCenterOffset(index) {
+    const itemHeight = this.getGenzItemHeight(index) - this.getGenzGap(index);
+    return this.genzLayer.offset + this.getGenzPosition(index) + itemHeight / 2 - this.viewportHeight / 2;
+  }
+
+  /**
+   * Find the gen-z item whose center is closest to the viewport center
+   */
+  getFocusedGenzIndex() {
+    const centerY = this.virtualOffset + this.viewportHeight / 2 - this.genzLayer.offset;
+    const candidate = this.findGenzIndexAtPosition(centerY);
+
+    // The item under the center line may be a gap; compare with its neighbours
+    let closest = candidate;
+    let closestDistance = Infinity;
+    for (let i = candidate - 1; i <= candidate + 1; i++) {
+      const distance = Math.abs(this.getGenzCenterOffset(i) - this.virtualOffset);
+      if (distance < closestDistance) {
+        closest = i;
+        closestDistance = distance;
       }
-      return index + 1;
     }
+    return closest;
   }
 
   render() {
-    const scrollY = this.virtualOffset;
-
-    // === RENDER VIDEOS (continuous background with parallax) ===
-    // Videos scroll slower for depth effect
-    const videoParallax = 0.5;
-    const videoScrollY = scrollY * videoParallax;
-    const videoHeight = this.viewportHeight;
-    const videoStartIndex = Math.floor(videoScrollY / videoHeight) - this.bufferSize;
-    const videoEndIndex = Math.ceil((videoScrollY + this.viewportHeight) / videoHeight) + this.bufferSize;
-
-    // Remove videos that are no longer in range
-    for (const [index, element] of this.videoElements) {
-      if (index < videoStartIndex || index > videoEndIndex) {
-        const video = element.querySelector('video');
-        if (video) video.pause();
-        element.remove();
-        this.videoElements.delete(index);
-      }
-    }
+    if (!this.isActive) return;
 
-    // Add and position videos
-    for (let i = videoStartIndex; i <= videoEndIndex; i++) {
-      if (!this.videoElements.has(i)) {
-        const element = this.createVideoElement(i);
-        if (element) {
-          this.track.appendChild(element);
-          this.videoElements.set(i, element);
-          const video = element.querySelector('video');
-          if (video) video.play().catch(() => {});
-        }
-      }
+    // Each layer scrolls at its own parallax speed
+    this.layers.forEach(layer => layer.render(this.virtualOffset));
+
+    this.updatePlayback();
+  }
 
-      const element = this.videoElements.get(i);
-      if (element) {
-        // Videos positioned at exact 100vh intervals - no gaps
-        const yPosition = i * videoHeight;
-        element.style.transform = `translateY(${yPosition}px)`;
+  /**
+   * Sort videos into playback tiers and hand out the decoder budget
+   *
+   * - visible: intersects the viewport - source attached and playing
+   * - warm: next one (two when scrolling fast) in the scroll direction -
+   *   source attached with preload="auto", paused
+   * - cold: everything else - source released, preload="none", poster shown
+   */
+  updatePlayback() {
+    const velocity = this.getScrollVelocity();
+    const direction = velocity !== 0 ? Math.sign(velocity) : this.scrollDirection;
+    const warmCount = Math.abs(velocity) * this.preloadLeadTime > this.viewportHeight ? 2 : 1;
+
+    // Each layer is its own stream, so each warms its own next posts
+    const visible = [];
+    const warm = [];
+    const cold = [];
+    for (const layer of this.layers) {
+      const videos = [];
+      for (const [index, element] of layer.elements) {
+        // Carousel slides not being shown never play
+        element.querySelectorAll('.genz-slide:not(.active) > video').forEach(video => cold.push({ video }));
+
+        const video = element.querySelector(':scope > video, .genz-image-container > video, .genz-slide.active > video');
+        if (!video) continue;
+        const top = layer.getViewportTop(index, this.virtualOffset);
+        videos.push({ video, top, bottom: top + layer.layout.getSize(index), background: layer.audio !== 'focus' });
       }
+
+      const tiers = this.getPlaybackTiers(videos, direction, warmCount);
+      visible.push(...tiers.visible);
+      warm.push(...tiers.warm);
+      cold.push(...tiers.cold);
     }
 
-    // === RENDER GEN-Z ITEMS (with gaps) ===
-    const genzStartIndex = this.findGenzIndexAtPosition(scrollY) - this.bufferSize;
-    const genzEndIndex = this.findGenzIndexAtPosition(scrollY + this.viewportHeight) + this.bufferSize;
+    // Visible videos get the budget first, then the warm ones; the rest go cold
+    const byDistance = (a, b) => a.distance - b.distance;
+    const wanted = [...visible.sort(byDistance), ...warm.sort(byDistance)];
+    const budget = this.mediaPool.maxDecoders;
+    cold.push(...wanted.slice(budget));
 
-    // Remove gen-z items that are no longer in range
-    for (const [index, element] of this.genzElements) {
-      if (index < genzStartIndex || index > genzEndIndex) {
-        const video = element.querySelector('video');
-        if (video) video.pause();
-        element.remove();
-        this.genzElements.delete(index);
-      }
-    }
+    // Free decoders first so the cap holds while sources move
+    cold.forEach(({ video }) => {
+      this.mediaPool.detachSource(video);
+      video.preload = 'none';
+    });
 
-    // Add and position gen-z items
-    for (let i = genzStartIndex; i <= genzEndIndex; i++) {
-      if (!this.genzElements.has(i)) {
-        const element = this.createGenzElement(i);
-        if (element) {
-          this.genzTrack.appendChild(element);
-          this.genzElements.set(i, element);
-          const video = element.querySelector('video');
-          if (video) video.play().catch(() => {});
-        }
+    const playing = [];
+    wanted.slice(0, budget).forEach((entry) => {
+      const { video } = entry;
+      video.preload = 'auto';
+      if (!this.mediaPool.attachSource(video, video.dataset.src)) return;
+
+      if (visible.includes(entry)) {
+        playing.push(entry);
+        if (video.paused) video.play().catch(() => {});
+      } else if (!video.paused) {
+        video.pause();
       }
+    });
 
-      const element = this.genzElements.get(i);
-      if (element) {
-        const yPosition = this.getGenzPosition(i);
-        element.style.transform = `translateY(${yPosition}px)`;
+    if (this.audio) this.updateAudio(playing);
+  }
 
-        // Apply parallax effect to text overlays
-        const textOverlay = element.querySelector('.genz-text-overlay');
-        if (textOverlay) {
-          const itemHeight = this.getGenzItemHeight(i) - this.getGenzGap(i);
-          const itemCenterY = yPosition + itemHeight / 2 - scrollY;
-          const viewportCenterY = this.viewportHeight / 2;
-          const distanceFromCenter = itemCenterY - viewportCenterY;
-          const parallaxOffset = distanceFromCenter * 0.08;
-          textOverlay.style.transform = `translate(-50%, calc(-50% + ${parallaxOffset}px))`;
-        }
+  /**
+   * Crossfade sound by distance from the viewport center: the focused post is
+   * heard at full volume and fades out over audioFadeRange; background videos
+   * follow the same curve at the mixer's backgroundLevel
+   */
+  updateAudio(playing) {
+    const fadeDistance = this.viewportHeight * this.audioFadeRange;
+    for (const { video, distance, background } of playing) {
+      const level = Math.max(0, 1 - distance / fadeDistance);
+      this.audio.setLevel(video, background ? level * this.audio.backgroundLevel : level);
+    }
+  }
+
+  /**
+   * Split one layer's videos into visible, warm (next in scroll direction) and cold
+   */
+  getPlaybackTiers(videos, direction, warmCount) {
+    const visible = [];
+    const ahead = [];
+    const cold = [];
+
+    for (const entry of videos) {
+      if (entry.bottom > 0 && entry.top < this.viewportHeight) {
+        entry.distance = Math.abs((entry.top + entry.bottom) / 2 - this.viewportHeight / 2);
+        visible.push(entry);
+      } else if (direction > 0 ? entry.top >= this.viewportHeight : entry.bottom <= 0) {
+        entry.distance = direction > 0 ? entry.top - this.viewportHeight : -entry.bottom;
+        ahead.push(entry);
+      } else {
+        cold.push(entry);
       }
     }
 
-    // Update both tracks' positions
-    this.track.style.transform = `translateY(${-videoScrollY}px)`;
-    this.genzTrack.style.transform = `translateY(${-scrollY}px)`;
+    ahead.sort((a, b) => a.distance - b.distance);
+    return {
+      visible,
+      warm: ahead.slice(0, warmCount),
+      cold: [...cold, ...ahead.slice(warmCount)]
+    };
+  }
+
+  /**
+   * Remove an item from the feed and park its media for reuse
+   */
+  releaseElement(element) {
+    element.querySelectorAll(':scope > video, .genz-image-container > video, .genz-image-container > img, .genz-slide > video, .genz-slide > img, .genz-picture > img')
+      .forEach(media => this.mediaPool.release(media));
+    element.remove();
   }
 }
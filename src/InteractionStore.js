@@ -0,0 +1,140 @@
+/**
+ * InteractionStore - Likes and bookmarks per post id, kept in IndexedDB
+ *
+ * Everything is loaded into memory by open(), so rendering a recycled post
+ * can read its state synchronously; writes go to IndexedDB in the background.
+ * When IndexedDB is unavailable (private browsing, old browsers) state lives
+ * for the session only.
+ *
+ * Emits 'change' with { id, state } so every rendered copy of a post - in
+ * any channel - can update.
+ */
+
+const DB_NAME = 'brainrot';
+const DB_VERSION = 1;
+const STORE_NAME = 'interactions';
+
+const EMPTY_STATE = Object.freeze({ liked: false, saved: false });
+
+export class InteractionStore {
+  constructor() {
+    // State
+    this.db = null;
+    this.states = new Map(); // post id -> { liked, saved }
+    this.eventListeners = {};
+  }
+
+  /**
+   * Open the database and load every saved state
+   */
+  async open() {
+    try {
+      this.db = await openDatabase();
+      const records = await requestToPromise(
+        this.db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll()
+      );
+      records.forEach(({ id, liked, saved }) => this.states.set(id, { liked, saved }));
+    } catch (error) {
+      console.warn('InteractionStore: IndexedDB unavailable, likes will not persist', error);
+      this.db = null;
+    }
+    return this;
+  }
+
+  /**
+   * Get a post's state ({ liked, saved })
+   */
+  get(id) {
+    return this.states.get(id) || EMPTY_STATE;
+  }
+
+  /**
+   * Update a post's state, e.g. set(id, { liked: true })
+   */
+  set(id, changes) {
+    const state = { ...this.get(id), ...changes };
+    this.states.set(id, state);
+    this.emit('change', { id, state });
+
+    if (this.db) {
+      const request = this.db.transaction(STORE_NAME, 'readwrite')
+        .objectStore(STORE_NAME)
+        .put({ id, ...state, updatedAt: Date.now() });
+      request.onerror = () => console.warn(`InteractionStore: could not save "${id}"`, request.error);
+    }
+    return state;
+  }
+
+  /**
+   * Flip the like on a post
+   */
+  toggleLike(id) {
+    return this.set(id, { liked: !this.get(id).liked });
+  }
+
+  /**
+   * Flip the bookmark on a post
+   */
+  toggleSave(id) {
+    return this.set(id, { saved: !this.get(id).saved });
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+}
+
+function openDatabase() {
+  if (!window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not supported'));
+  }
+
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+  };
+  return requestToPromise(request);
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
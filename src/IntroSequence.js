@@ -3,15 +3,17 @@
  *
  * Features:
  * - Single centered clickable bubble with "I accept brainrot" text
- * - Background auto-scrolls fast during intro
+ * - Background auto-scrolls fast during intro (AutoScroller, time based)
  * - Bubble swept up by feed on click
  */
+import { AutoScroller } from './AutoScroller.js';
 
 export class IntroSequence {
   constructor(options = {}) {
     // Configuration - single bubble image
     this.bubbleImage = options.bubbleImage || '/content/bubbles/bubble.svg';
-    this.autoScrollSpeed = options.autoScrollSpeed || 60; // pixels per frame
+    this.autoScrollSpeed = options.autoScrollSpeed || 3600; // pixels per second
+    this.autoScrollProfile = options.autoScrollProfile || 'constant'; // AutoScroller speed profile
     this.transitionDuration = options.transitionDuration || 2000; // ms for deceleration
 
     // Single bubble content
@@ -21,8 +23,7 @@ export class IntroSequence {
 
     // State
     this.isActive = true;
-    this.currentSpeed = this.autoScrollSpeed;
-    this.autoScrollAnimationId = null;
+    this.autoScroller = null;
     this.bubbleElements = [];
     this.infiniteScroll = null;
 
@@ -30,6 +31,7 @@ export class IntroSequence {
     this.overlay = null;
 
     // Callbacks
+    this.onAccept = options.onAccept || (() => {});
     this.onComplete = options.onComplete || (() => {});
 
     // Create UI immediately
@@ -41,6 +43,10 @@ export class IntroSequence {
    */
   connectInfiniteScroll(infiniteScroll) {
     this.infiniteScroll = infiniteScroll;
+    this.autoScroller = new AutoScroller(infiniteScroll, {
+      speed: this.autoScrollSpeed,
+      profile: this.autoScrollProfile
+    });
   }
 
   /**
@@ -110,27 +116,22 @@ export class IntroSequence {
     }
 
     // Start auto-scroll
-    this.startAutoScroll();
+    this.autoScroller.start();
 
     // Show the bubble
     this.showBubble();
   }
 
   /**
-   * Start auto-scrolling the background
+   * Skip the intro (e.g. opened from a deep link): no auto-scroll, no bubble,
+   * the user gets control straight away
    */
-  startAutoScroll() {
-    const tick = () => {
-      if (!this.isActive) return;
-
-      // Increment virtual offset directly on InfiniteScroll
-      this.infiniteScroll.virtualOffset += this.currentSpeed;
-      this.infiniteScroll.render();
-
-      this.autoScrollAnimationId = requestAnimationFrame(tick);
-    };
+  skip() {
+    if (!this.isActive) return;
+    this.isActive = false;
 
-    tick();
+    this.overlay.remove();
+    this.onComplete();
   }
 
   /**
@@ -176,6 +177,7 @@ export class IntroSequence {
   handleAccept() {
     if (!this.isActive) return;
     this.isActive = false;
+    this.onAccept();
 
     // Sweep all bubbles up (staggered)
     this.exitAllBubbles();
@@ -200,40 +202,12 @@ export class IntroSequence {
    * Smoothly transition from auto-scroll to user control
    */
   transitionToUserControl() {
-    const startSpeed = this.currentSpeed;
-    const startTime = performance.now();
-    const duration = this.transitionDuration;
-
-    const decelerate = () => {
-      const elapsed = performance.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-
-      // Ease-out cubic curve
-      const eased = 1 - Math.pow(1 - progress, 3);
-      this.currentSpeed = startSpeed * (1 - eased);
-
-      // Continue scrolling at reduced speed
-      if (this.infiniteScroll) {
-        this.infiniteScroll.virtualOffset += this.currentSpeed;
-        this.infiniteScroll.render();
-      }
-
-      if (progress < 1) {
-        requestAnimationFrame(decelerate);
-      } else {
-        this.finishTransition();
-      }
-    };
-
     // Start fade-out animation on overlay
     this.overlay.classList.add('fading');
 
-    // Cancel the regular auto-scroll loop
-    if (this.autoScrollAnimationId) {
-      cancelAnimationFrame(this.autoScrollAnimationId);
-    }
-
-    decelerate();
+    // Ease the auto-scroll down to a stop (ease-out cubic)
+    this.autoScroller.decelerate(this.transitionDuration, 'easeOutCubic')
+      .then(() => this.finishTransition());
   }
 
   /**
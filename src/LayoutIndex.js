@@ -0,0 +1,213 @@
+/**
+ * LayoutIndex - Cumulative positions for an endless list of variable-height items
+ *
+ * Items are addressed by any integer index (negative indices extend upward
+ * from index 0, which starts at position 0). Each slot is the item's height
+ * plus a gap after it. Unmeasured items use a default height and gaps repeat
+ * from a fixed pattern, so only measured heights need storing: they live in
+ * Fenwick trees (one per direction). Positions and index lookups stay
+ * logarithmic at any depth, and a height change is an O(log n) update.
+ */
+
+/**
+ * Fenwick (binary indexed) tree over slots 0, 1, 2, ... that grows on demand
+ */
+class FenwickTree {
+  constructor() {
+    this.values = new Float64Array(0);
+    this.tree = new Float64Array(1); // 1-based
+  }
+
+  /**
+   * Add delta to a slot
+   */
+  add(slot, delta) {
+    if (slot >= this.values.length) {
+      this._grow(slot + 1);
+    }
+
+    this.values[slot] += delta;
+    for (let i = slot + 1; i < this.tree.length; i += i & -i) {
+      this.tree[i] += delta;
+    }
+  }
+
+  /**
+   * Sum of slots [0, count)
+   */
+  prefix(count) {
+    let sum = 0;
+    for (let i = Math.min(count, this.values.length); i > 0; i -= i & -i) {
+      sum += this.tree[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Double capacity until minLength fits, rebuilding the tree in O(n)
+   */
+  _grow(minLength) {
+    let length = Math.max(64, this.values.length * 2);
+    while (length < minLength) length *= 2;
+
+    const values = new Float64Array(length);
+    values.set(this.values);
+
+    const tree = new Float64Array(length + 1);
+    for (let i = 1; i <= length; i++) {
+      tree[i] += values[i - 1];
+      const parent = i + (i & -i);
+      if (parent <= length) tree[parent] += tree[i];
+    }
+
+    this.values = values;
+    this.tree = tree;
+  }
+}
+
+export class LayoutIndex {
+  constructor(options = {}) {
+    this.defaultSize = options.defaultSize || 0; // Height of unmeasured items
+
+    // Repeating gap pattern and its prefix sums
+    this.gaps = [];
+    this.gapPrefix = [0];
+    this.setGapPattern(options.gaps || []);
+
+    // Measured heights: exact values, plus per-direction sums and counts
+    this.sizes = new Map();
+    this.forward = { sizes: new FenwickTree(), counts: new FenwickTree() }; // index i -> slot i
+    this.backward = { sizes: new FenwickTree(), counts: new FenwickTree() }; // index i -> slot -i - 1
+  }
+
+  /**
+   * Set the height used for items that haven't been measured yet
+   */
+  setDefaultSize(size) {
+    this.defaultSize = size;
+  }
+
+  /**
+   * Set the gaps that repeat after every gaps.length items
+   */
+  setGapPattern(gaps) {
+    this.gaps = gaps.slice();
+    this.gapPrefix = [0];
+    for (const gap of this.gaps) {
+      this.gapPrefix.push(this.gapPrefix[this.gapPrefix.length - 1] + gap);
+    }
+  }
+
+  /**
+   * Record an item's measured height
+   */
+  setSize(index, size) {
+    const previous = this.sizes.get(index);
+    if (previous === size) return;
+
+    const side = index >= 0 ? this.forward : this.backward;
+    const slot = index >= 0 ? index : -index - 1;
+
+    side.sizes.add(slot, size - (previous || 0));
+    if (previous === undefined) {
+      side.counts.add(slot, 1);
+    }
+    this.sizes.set(index, size);
+  }
+
+  /**
+   * Measured height of an item, or undefined if not measured yet
+   */
+  getMeasuredSize(index) {
+    return this.sizes.get(index);
+  }
+
+  /**
+   * Height of an item (measured or default), without its gap
+   */
+  getSize(index) {
+    const size = this.sizes.get(index);
+    return size !== undefined ? size : this.defaultSize;
+  }
+
+  /**
+   * Gap after an item
+   */
+  getGap(index) {
+    const period = this.gaps.length;
+    if (period === 0) return 0;
+    return this.gaps[((index % period) + period) % period];
+  }
+
+  /**
+   * Top position of an item
+   */
+  getPosition(index) {
+    if (index >= 0) {
+      return this._sumGaps(index) + this._sumSizes(this.forward, index);
+    }
+    return this._sumGaps(index) - this._sumSizes(this.backward, -index);
+  }
+
+  /**
+   * Find the item whose slot (height + gap) contains a position
+   */
+  findIndexAt(position) {
+    const period = this.gaps.length;
+    const averageSlot = this.defaultSize + (period ? this.gapPrefix[period] / period : 0);
+    if (!(averageSlot > 0) || !Number.isFinite(position)) return 0;
+
+    // Gallop out from the estimate until getPosition(low) <= position < getPosition(high)
+    let low = Math.floor(position / averageSlot);
+    let high;
+    let step = 1;
+
+    if (this.getPosition(low) <= position) {
+      high = low + step;
+      while (this.getPosition(high) <= position) {
+        low = high;
+        step *= 2;
+        high = low + step;
+      }
+    } else {
+      high = low;
+      low = high - step;
+      while (this.getPosition(low) > position) {
+        high = low;
+        step *= 2;
+        low = high - step;
+      }
+    }
+
+    // Binary search the bracket
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (this.getPosition(mid) <= position) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Sum of gaps from index 0 up to (not including) index; negative below 0
+   */
+  _sumGaps(index) {
+    const period = this.gaps.length;
+    if (period === 0) return 0;
+
+    const cycles = Math.floor(index / period);
+    return cycles * this.gapPrefix[period] + this.gapPrefix[index - cycles * period];
+  }
+
+  /**
+   * Sum of the first count item heights in one direction
+   */
+  _sumSizes(side, count) {
+    const measuredCount = side.counts.prefix(count);
+    return side.sizes.prefix(count) + (count - measuredCount) * this.defaultSize;
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * MediaPool - Recycles <video> and <img> elements and caps video decoders
+ *
+ * Creating and destroying a <video> per post makes fast flicks spin up
+ * dozens of decoders per second, and mobile Safari doesn't give the memory
+ * back. Elements leaving the feed are parked here instead (with their source
+ * released) and handed out again for the next post. Video sources are only
+ * attached through the pool, which refuses once maxDecoders videos hold one.
+ */
+
+export class MediaPool {
+  constructor(options = {}) {
+    this.maxDecoders = options.maxDecoders || 6; // Videos allowed to hold a source at once
+    this.maxParked = options.maxParked || 8; // Spare elements kept per kind
+
+    // State
+    this.parked = { video: [], image: [] };
+    this.decoding = new Map(); // video -> attached src
+  }
+
+  /**
+   * Get a clean element of the given kind ('video' or 'image')
+   */
+  acquire(kind) {
+    const element = this.parked[kind].pop();
+    if (element) return element;
+
+    if (kind === 'video') {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      return video;
+    }
+
+    const img = document.createElement('img');
+    img.alt = '';
+    img.decoding = 'async';
+    return img;
+  }
+
+  /**
+   * Park an element for reuse, releasing its source
+   */
+  release(element) {
+    element.remove();
+    element.removeAttribute('width');
+    element.removeAttribute('height');
+
+    if (element.tagName === 'VIDEO') {
+      element.querySelectorAll('track').forEach(track => track.remove());
+      this.detachSource(element);
+      element.muted = true; // Silent until the next post's audio level says otherwise
+      element.onloadedmetadata = null;
+      element.poster = '';
+      this._park('video', element);
+    } else {
+      // An empty src on an <img> would request the page itself
+      element.removeAttribute('src');
+      element.removeAttribute('srcset');
+      element.removeAttribute('sizes');
+      element.onload = null;
+      element.alt = '';
+      this._park('image', element);
+    }
+  }
+
+  /**
+   * Give a video its source if the decoder budget allows
+   * Returns true if the video now holds the source
+   */
+  attachSource(video, src) {
+    if (this.decoding.get(video) === src) return true;
+    if (!this.decoding.has(video) && this.decoding.size >= this.maxDecoders) return false;
+
+    this.decoding.set(video, src);
+    video.src = src;
+    return true;
+  }
+
+  /**
+   * Take a video's source away so its decoder and buffers are freed
+   */
+  detachSource(video) {
+    if (!this.decoding.has(video)) return;
+
+    this.decoding.delete(video);
+    video.pause();
+    video.src = '';
+    video.load();
+  }
+
+  /**
+   * Check if a video currently holds a source
+   */
+  hasSource(video) {
+    return this.decoding.has(video);
+  }
+
+  /**
+   * Change the decoder budget (takes effect as sources are reassigned)
+   */
+  setMaxDecoders(maxDecoders) {
+    this.maxDecoders = maxDecoders;
+  }
+
+  /**
+   * Pool counts for debugging
+   */
+  getStats() {
+    return {
+      decoding: this.decoding.size,
+      maxDecoders: this.maxDecoders,
+      parkedVideos: this.parked.video.length,
+      parkedImages: this.parked.image.length
+    };
+  }
+
+  _park(kind, element) {
+    if (this.parked[kind].length < this.maxParked) {
+      this.parked[kind].push(element);
+    }
+  }
+}
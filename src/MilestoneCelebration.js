@@ -1,3 +1,6 @@
+import { createRandom, randomItem, randomSeed, shuffle } from './random.js';
+import { ParticleSystem } from './ParticleSystem.js';
+
 // Gen-Z/meme style emojis (same as InfiniteScroll)
 const GENZ_EMOJIS = ['💀', '😭', '🔥', '💯', '🤡', '👀', '😩', '🙏', '⚡', '🧠', '📱', '🎭'];
 
@@ -6,6 +9,7 @@ export class MilestoneCelebration {
     // Configuration - single bubble image
     this.bubbleImage = options.bubbleImage || '/content/bubbles/bubble.svg';
     this.celebrationDuration = options.duration || 2800;
+    this.random = createRandom(options.seed !== undefined ? options.seed : randomSeed(), 'milestones');
 
     // State
     this.lastMilestoneReached = 0;
@@ -13,9 +17,7 @@ export class MilestoneCelebration {
     this.container = null;
 
     // Confetti particle system (GPU-accelerated)
-    this.confettiContainer = null;
-    this.activeParticles = [];
-    this.animationId = null;
+    this.particles = new ParticleSystem({ random: this.random });
 
     // Progressive milestones in meters
     this.milestones = [
@@ -191,15 +193,8 @@ export class MilestoneCelebration {
    * Trigger confetti burst with GPU-accelerated CSS transforms
    */
   triggerConfetti() {
-    // Create container if not exists
-    if (!this.confettiContainer) {
-      this.confettiContainer = document.createElement('div');
-      this.confettiContainer.className = 'confetti-container';
-      document.body.appendChild(this.confettiContainer);
-    }
-
     // Clear any previous particles
-    this.clearParticles();
+    this.particles.clear();
 
     // Adaptive particle count for mobile
     const isMobile = window.innerWidth <= 768;
@@ -285,13 +280,14 @@ export class MilestoneCelebration {
       return;
     }
 
-    const burst = this.pendingBursts.shift();
-    this.createBurst(burst);
-
-    // Start animation immediately on first burst
-    if (!this.animationId) {
-      this.animateParticles();
-    }
+    // Origins are fractions of the viewport
+    const { origin, ...burst } = this.pendingBursts.shift();
+    this.particles.burst({
+      ...burst,
+      x: window.innerWidth * origin.x,
+      y: window.innerHeight * origin.y,
+      emojis: burst.emojis || GENZ_EMOJIS
+    });
 
     // Schedule next burst on next frame
     if (this.pendingBursts.length > 0) {
@@ -303,137 +299,7 @@ export class MilestoneCelebration {
    * Pick random emojis from the list
    */
   pickRandomEmojis(count) {
-    const shuffled = [...GENZ_EMOJIS].sort(() => Math.random() - 0.5);
-    return shuffled.slice(0, count);
-  }
-
-  /**
-   * Create a burst of confetti particles using DocumentFragment for batched insertion
-   */
-  createBurst({ count, origin, spread, angle, velocity, gravity = 900, emojis = GENZ_EMOJIS }) {
-    const centerX = window.innerWidth * origin.x;
-    const centerY = window.innerHeight * origin.y;
-
-    // Use DocumentFragment for single DOM insertion
-    const fragment = document.createDocumentFragment();
-    const newParticles = [];
-
-    for (let i = 0; i < count; i++) {
-      const emoji = emojis[Math.floor(Math.random() * emojis.length)];
-
-      // Create particle element
-      const particle = document.createElement('div');
-      particle.className = 'confetti-particle';
-      particle.textContent = emoji;
-
-      // Random angle within spread (convert to radians)
-      const particleAngle = (angle + (Math.random() - 0.5) * spread) * (Math.PI / 180);
-      const speed = velocity.min + Math.random() * (velocity.max - velocity.min);
-
-      // Initial physics state
-      const state = {
-        element: particle,
-        x: centerX - 16, // center the emoji
-        y: centerY - 16,
-        vx: Math.cos(particleAngle) * speed,
-        vy: Math.sin(particleAngle) * speed,
-        rotation: Math.random() * 360,
-        rotationSpeed: (Math.random() - 0.5) * 720, // degrees per second
-        scale: 0.7 + Math.random() * 0.6,
-        opacity: 1,
-        gravity: gravity + Math.random() * 300,
-        drag: 0.98,
-        fadeDelay: 1200 + Math.random() * 800, // ms before fading
-        lifetime: 0
-      };
-
-      // Apply initial transform before adding to DOM
-      particle.style.transform = `translate3d(${state.x}px, ${state.y}px, 0) rotate(${state.rotation}deg) scale(${state.scale})`;
-      particle.style.opacity = state.opacity;
-
-      newParticles.push(state);
-      fragment.appendChild(particle);
-    }
-
-    // Single DOM insertion for all particles in this burst
-    this.confettiContainer.appendChild(fragment);
-    this.activeParticles.push(...newParticles);
-  }
-
-  /**
-   * Animation loop using requestAnimationFrame
-   */
-  animateParticles() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-    }
-
-    let lastTime = performance.now();
-
-    const animate = (currentTime) => {
-      const deltaTime = (currentTime - lastTime) / 1000; // seconds
-      lastTime = currentTime;
-
-      let hasActiveParticles = false;
-
-      for (let i = this.activeParticles.length - 1; i >= 0; i--) {
-        const p = this.activeParticles[i];
-        p.lifetime += deltaTime * 1000;
-
-        // Apply physics
-        p.vy += p.gravity * deltaTime;
-        p.vx *= p.drag;
-        p.vy *= p.drag;
-        p.x += p.vx * deltaTime;
-        p.y += p.vy * deltaTime;
-        p.rotation += p.rotationSpeed * deltaTime;
-
-        // Fade out after delay
-        if (p.lifetime > p.fadeDelay) {
-          p.opacity -= deltaTime * 2.5; // fade over ~0.4s
-        }
-
-        // Remove if off-screen or faded
-        if (p.opacity <= 0 || p.y > window.innerHeight + 100) {
-          p.element.remove();
-          this.activeParticles.splice(i, 1);
-        } else {
-          hasActiveParticles = true;
-          this.updateParticleTransform(p);
-        }
-      }
-
-      if (hasActiveParticles) {
-        this.animationId = requestAnimationFrame(animate);
-      } else {
-        this.animationId = null;
-      }
-    };
-
-    this.animationId = requestAnimationFrame(animate);
-  }
-
-  /**
-   * Update particle CSS transform (GPU-accelerated)
-   */
-  updateParticleTransform(p) {
-    p.element.style.transform = `translate3d(${p.x}px, ${p.y}px, 0) rotate(${p.rotation}deg) scale(${p.scale})`;
-    p.element.style.opacity = p.opacity;
-  }
-
-  /**
-   * Clear all active particles
-   */
-  clearParticles() {
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
-      this.animationId = null;
-    }
-
-    for (const p of this.activeParticles) {
-      p.element.remove();
-    }
-    this.activeParticles = [];
+    return shuffle([...GENZ_EMOJIS], this.random).slice(0, count);
   }
 
   /**
@@ -441,7 +307,7 @@ export class MilestoneCelebration {
    */
   getExclamation(milestone) {
     const options = this.exclamations[milestone] || [`${milestone}m of scrolling!`];
-    return options[Math.floor(Math.random() * options.length)];
+    return randomItem(options, this.random);
   }
 
   /**
@@ -458,10 +324,7 @@ export class MilestoneCelebration {
    * Remove the component from DOM
    */
   destroy() {
-    this.clearParticles();
-    if (this.confettiContainer && this.confettiContainer.parentNode) {
-      this.confettiContainer.parentNode.removeChild(this.confettiContainer);
-    }
+    this.particles.destroy();
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }
@@ -0,0 +1,589 @@
+/**
+ * Navigator - Shared core for ScrollNavigator and CircularNavigator
+ *
+ * Owns the accumulated value, distance tracking, momentum and the event
+ * system. Input adapters (wheel, pointer, keyboard, gamepad, dial) attach to a
+ * navigator and feed movement into it, so several inputs can be active at
+ * once and still produce a single start/rotate/end stream.
+ *
+ * Horizontal drags are a separate swipestart/swipemove/swipeend stream that
+ * never moves the value. Listeners share one gesture object per swipe and
+ * can claim() it, so e.g. a carousel under the finger wins over channel
+ * switching. Presses that never move are reported as 'tap' with their
+ * client position (likes, buttons on posts).
+ *
+ * Elements marked data-scroll-region (e.g. a comment thread) scroll
+ * themselves: inputs ask findScrollRegion() before moving the feed, since
+ * the interaction area on top keeps native scrolling from reaching them.
+ *
+ * Input adapter contract:
+ * - attach(navigator) / detach()
+ * - optional getHoldVelocity(time) and isHolding() for inputs that steer
+ *   momentum while held (keys, sticks)
+ */
+import { getCalibratedPixelsPerMeter } from './Calibration.js';
+
+export class Navigator {
+  constructor(element, options = {}) {
+    // Configuration
+    this.element = element;
+    this.stepsPerRotation = options.stepsPerRotation || 150;
+    this.yieldToScrollRegions = options.yieldToScrollRegions !== undefined ? options.yieldToScrollRegions : true;
+
+    // State
+    this.value = 0;
+    this.isActive = false;
+    this.currentAngle = 0;
+    this.currentRadius = 0;
+    this.eventListeners = {};
+    this.swipe = null; // Gesture object while a horizontal swipe is in progress
+
+    // Distance tracking
+    this.totalDistance = 0;        // Signed distance (+ down/clockwise, - up/counterclockwise)
+    this.absoluteDistance = 0;     // Always positive total distance
+
+    // Inputs
+    this.inputs = [];
+    this.activeInputs = new Set(); // Inputs currently mid-gesture
+    this.releaseTimers = new Map(); // input -> debounced release timer
+
+    // Momentum animation
+    this.velocity = 0; // px/ms
+    this.momentumRadius = null; // Set for angular momentum around a dial
+    this.momentumAnimationId = null;
+    this.friction = options.friction || 0.95; // Friction coefficient (lower = more friction)
+    this.minVelocity = options.minVelocity || 0.5; // Stop momentum when velocity drops below this
+    this.holdSmoothing = 0.2; // How quickly held inputs reach their target velocity
+
+    // Scroll end detection
+    this.scrollEndDelay = options.scrollEndDelay || 150; // ms to wait before firing 'end' event
+  }
+
+  /**
+   * Attach an input adapter
+   */
+  addInput(input) {
+    this.inputs.push(input);
+    input.attach(this);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Detach an input adapter
+   */
+  removeInput(input) {
+    if (!this.inputs.includes(input)) return this;
+
+    input.detach();
+    this.inputs = this.inputs.filter(i => i !== input);
+    this.release(input);
+    return this;
+  }
+
+  /**
+   * Remove all inputs and stop any running animation (cleanup)
+   */
+  destroy() {
+    this.stopMomentum();
+
+    for (const input of this.inputs) {
+      input.detach();
+    }
+    this.inputs = [];
+    this.activeInputs.clear();
+
+    for (const timer of this.releaseTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.releaseTimers.clear();
+  }
+
+  /**
+   * Mark an input as mid-gesture (fires 'start' for the first one)
+   */
+  begin(input) {
+    this._cancelReleaseTimer(input);
+    this.activeInputs.add(input);
+    this._ensureActive();
+  }
+
+  /**
+   * Mark an input as finished (fires 'end' once nothing is moving)
+   */
+  release(input) {
+    this._cancelReleaseTimer(input);
+    this.activeInputs.delete(input);
+    this._settle();
+  }
+
+  /**
+   * Release an input after a quiet period (for inputs without an explicit end, like wheel)
+   */
+  releaseAfter(input, delay = this.scrollEndDelay) {
+    this._cancelReleaseTimer(input);
+    this.releaseTimers.set(input, setTimeout(() => {
+      this.releaseTimers.delete(input);
+      this.release(input);
+    }, delay));
+  }
+
+  /**
+   * Apply a movement and emit the rotate event
+   *
+   * distanceDelta is in pixels (scroll distance or arc length). Inputs that
+   * know their own step conversion (the dial) pass `steps` and the fraction
+   * of a turn (`rotationDelta`) explicitly; otherwise rotationDelta is
+   * pixels / stepsPerRotation, as scroll input has always reported it.
+   */
+  move(distanceDelta, { steps, rotationDelta, angle, radius } = {}) {
+    const delta = steps !== undefined ? steps : this.pixelsToSteps(distanceDelta);
+
+    // Update tracking
+    this.totalDistance += distanceDelta;
+    this.absoluteDistance += Math.abs(distanceDelta);
+    this.value += delta;
+    if (angle !== undefined) this.currentAngle = angle;
+    if (radius !== undefined) this.currentRadius = radius;
+
+    this.emit('rotate', {
+      delta: delta,
+      rotationDelta: rotationDelta !== undefined ? rotationDelta : distanceDelta / this.stepsPerRotation,
+      value: this.value,
+      angle: this.currentAngle,
+      direction: delta > 0 ? 'clockwise' : 'counterclockwise',
+      distance: {
+        total: this.totalDistance,
+        absolute: this.absoluteDistance,
+        delta: distanceDelta,
+        deltaAbs: Math.abs(distanceDelta),
+        radius: this.currentRadius
+      }
+    });
+  }
+
+  /**
+   * Start a horizontal swipe at a client position (emits 'swipestart')
+   */
+  beginSwipe(x, y) {
+    this.swipe = {
+      startX: x,
+      startY: y,
+      startTime: performance.now(),
+      dx: 0,
+      velocity: 0, // px/ms, positive to the right
+      cancelled: false,
+      owner: null,
+      claim(owner) {
+        if (!this.owner) this.owner = owner;
+        return this.owner === owner;
+      }
+    };
+    this.emit('swipestart', this.swipe);
+  }
+
+  /**
+   * Update the swipe with the total horizontal travel so far (emits 'swipemove')
+   */
+  moveSwipe(dx, velocity) {
+    if (!this.swipe) return;
+
+    this.swipe.dx = dx;
+    this.swipe.velocity = velocity;
+    this.emit('swipemove', this.swipe);
+  }
+
+  /**
+   * Finish the swipe (emits 'swipeend'); cancelled swipes should snap back
+   */
+  endSwipe({ cancelled = false } = {}) {
+    if (!this.swipe) return;
+
+    const swipe = this.swipe;
+    swipe.cancelled = cancelled;
+    this.swipe = null;
+    this.emit('swipeend', swipe);
+  }
+
+  /**
+   * Find the scroll region under a client position that can scroll in
+   * direction (1 down, -1 up, 0 either way), or null to move the feed
+   */
+  findScrollRegion(x, y, direction = 0) {
+    if (!this.yieldToScrollRegions) return null;
+
+    for (const element of document.elementsFromPoint(x, y)) {
+      const region = element.closest('[data-scroll-region]');
+      if (region && canScroll(region, direction)) return region;
+    }
+    return null;
+  }
+
+  /**
+   * Report a press that didn't move at a client position (emits 'tap')
+   */
+  tap(x, y) {
+    this.emit('tap', { x, y, time: performance.now() });
+  }
+
+  /**
+   * Convert pixels to steps based on stepsPerRotation
+   */
+  pixelsToSteps(pixels) {
+    // Full rotation (2π radians at a 100px radius) = stepsPerRotation steps
+    return pixels * (this.stepsPerRotation / (2 * Math.PI * 100));
+  }
+
+  /**
+   * Start (or keep running) the momentum animation at the given velocity in px/ms
+   *
+   * Pass `radius` for angular momentum: the velocity is then arc length per
+   * ms and the angle keeps turning around the dial.
+   */
+  startMomentum(velocity = this.velocity, { radius } = {}) {
+    this.velocity = velocity;
+    this.momentumRadius = radius || null;
+    this._ensureActive();
+
+    if (this.momentumAnimationId) return; // Already running
+    this.lastMomentumTime = performance.now();
+    this._momentumStep();
+  }
+
+  /**
+   * Hand off a released drag at the given velocity in px/ms
+   *
+   * Emits 'fling' first; listeners (e.g. paging) can call preventDefault()
+   * to take over instead of the default momentum glide.
+   */
+  fling(velocity, options = {}) {
+    const event = {
+      velocity,
+      value: this.value,
+      defaultPrevented: false,
+      preventDefault() {
+        this.defaultPrevented = true;
+      }
+    };
+    this.emit('fling', event);
+
+    if (!event.defaultPrevented) {
+      this.startMomentum(velocity, options);
+    }
+  }
+
+  /**
+   * Stop momentum animation
+   */
+  stopMomentum() {
+    if (this.momentumAnimationId) {
+      cancelAnimationFrame(this.momentumAnimationId);
+      this.momentumAnimationId = null;
+    }
+    this.velocity = 0;
+  }
+
+  /**
+   * Add a velocity impulse that glides roughly `distance` pixels under friction
+   */
+  addImpulse(distance) {
+    if (distance === 0) return;
+
+    // Geometric series: total glide ≈ velocity * 16ms / (1 - friction)
+    const impulse = distance * (1 - this.friction) / 16;
+    const sameDirection = Math.sign(impulse) === Math.sign(this.velocity);
+    this.startMomentum(sameDirection ? this.velocity + impulse : impulse);
+  }
+
+  /**
+   * Single step of momentum animation
+   */
+  _momentumStep() {
+    const currentTime = performance.now();
+    const timeDelta = currentTime - this.lastMomentumTime;
+    this.lastMomentumTime = currentTime;
+
+    // Calculate scroll delta based on velocity (convert from px/ms to px)
+    const scrollDelta = this.velocity * timeDelta;
+
+    // Held inputs steer toward their target speed, otherwise apply friction
+    const holdVelocity = this._getHoldVelocity(currentTime);
+    if (holdVelocity !== 0) {
+      this.velocity += (holdVelocity - this.velocity) * this.holdSmoothing;
+    } else {
+      this.velocity *= this.friction;
+    }
+
+    // Stop if velocity is too low (and nothing is held down)
+    if (!this._hasHeldInput() && Math.abs(this.velocity * 16) < this.minVelocity) { // Check at ~60fps rate
+      this.stopMomentum();
+      this._settle();
+      return;
+    }
+
+    if (scrollDelta !== 0) {
+      this.move(scrollDelta, this._getMomentumMove(scrollDelta));
+    }
+
+    // Schedule next frame
+    this.momentumAnimationId = requestAnimationFrame(() => this._momentumStep());
+  }
+
+  /**
+   * Step/angle details for a momentum frame (empty for linear momentum)
+   */
+  _getMomentumMove(distance) {
+    if (!this.momentumRadius) return {};
+
+    const angleDelta = distance / this.momentumRadius;
+    let angle = this.currentAngle + angleDelta;
+
+    // Keep the angle in the same -π..π range as atan2
+    if (angle > Math.PI) {
+      angle -= 2 * Math.PI;
+    } else if (angle < -Math.PI) {
+      angle += 2 * Math.PI;
+    }
+
+    return {
+      steps: (angleDelta / (2 * Math.PI)) * this.stepsPerRotation,
+      rotationDelta: angleDelta / (2 * Math.PI),
+      angle,
+      radius: this.momentumRadius
+    };
+  }
+
+  /**
+   * Target velocity (px/ms) requested by held inputs, 0 when nothing is held
+   */
+  _getHoldVelocity(currentTime) {
+    for (const input of this.inputs) {
+      if (!input.getHoldVelocity) continue;
+      const velocity = input.getHoldVelocity(currentTime);
+      if (velocity !== 0) return velocity;
+    }
+    return 0;
+  }
+
+  /**
+   * Check if any input is currently held down
+   */
+  _hasHeldInput() {
+    return this.inputs.some(input => input.isHolding && input.isHolding());
+  }
+
+  /**
+   * Fire 'start' if not already active
+   */
+  _ensureActive() {
+    if (!this.isActive) {
+      this.isActive = true;
+      this.emit('start', { value: this.value });
+    }
+  }
+
+  /**
+   * Fire 'end' once no input is mid-gesture and momentum has stopped
+   */
+  _settle() {
+    if (!this.isActive) return;
+    if (this.activeInputs.size > 0 || this.momentumAnimationId) return;
+
+    this.isActive = false;
+    this.emit('end', { value: this.value });
+  }
+
+  /**
+   * Cancel a pending debounced release
+   */
+  _cancelReleaseTimer(input) {
+    if (this.releaseTimers.has(input)) {
+      clearTimeout(this.releaseTimers.get(input));
+      this.releaseTimers.delete(input);
+    }
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Get current accumulated value
+   */
+  getValue() {
+    return this.value;
+  }
+
+  /**
+   * Set value programmatically
+   */
+  setValue(value) {
+    this.value = value;
+    this.emit('update', { value: this.value });
+  }
+
+  /**
+   * Get current angle (0 for linear inputs)
+   */
+  getAngle() {
+    return this.currentAngle;
+  }
+
+  /**
+   * Check if user is currently interacting
+   */
+  getIsActive() {
+    return this.isActive;
+  }
+
+  /**
+   * Set steps per rotation
+   */
+  setStepsPerRotation(steps) {
+    this.stepsPerRotation = steps;
+  }
+
+  /**
+   * Get steps per rotation
+   */
+  getStepsPerRotation() {
+    return this.stepsPerRotation;
+  }
+
+  /**
+   * Get total signed distance
+   */
+  getTotalDistance() {
+    return this.totalDistance;
+  }
+
+  /**
+   * Get absolute distance (always positive)
+   */
+  getAbsoluteDistance() {
+    return this.absoluteDistance;
+  }
+
+  /**
+   * Get current radius (0 for linear inputs)
+   */
+  getCurrentRadius() {
+    return this.currentRadius;
+  }
+
+  /**
+   * Reset distance tracking
+   */
+  resetDistance() {
+    this.totalDistance = 0;
+    this.absoluteDistance = 0;
+  }
+
+  /**
+   * Get distance in custom units
+   */
+  getDistanceInUnits(pixelsPerUnit = 1) {
+    return {
+      total: this.totalDistance / pixelsPerUnit,
+      absolute: this.absoluteDistance / pixelsPerUnit
+    };
+  }
+
+  /**
+   * Get distance in meters (estimated)
+   */
+  getDistanceInMeters() {
+    const { pixelsPerMeter, estimatedPPI } = Navigator.estimatePixelsPerMeter();
+    return {
+      total: this.totalDistance / pixelsPerMeter,
+      absolute: this.absoluteDistance / pixelsPerMeter,
+      pixelsPerMeter,
+      estimatedPPI
+    };
+  }
+
+  /**
+   * Static method: pixels per meter from the saved calibration, or estimated from screen DPI
+   */
+  static estimatePixelsPerMeter() {
+    const devicePixelRatio = window.devicePixelRatio || 1;
+
+    // Prefer a user calibration (see CalibrationScreen) over the heuristic
+    const calibrated = getCalibratedPixelsPerMeter();
+    if (calibrated) {
+      const pixelsPerInch = calibrated / 39.3701;
+      const diagonalPixels = Math.sqrt(window.screen.width ** 2 + window.screen.height ** 2);
+      return {
+        pixelsPerMeter: calibrated,
+        estimatedPPI: pixelsPerInch,
+        devicePixelRatio,
+        screenDiagonal: diagonalPixels / pixelsPerInch,
+        calibrated: true
+      };
+    }
+
+    const screenWidth = window.screen.width * devicePixelRatio;
+    const screenHeight = window.screen.height * devicePixelRatio;
+    const screenDiagonal = Math.sqrt(screenWidth ** 2 + screenHeight ** 2);
+
+    // Estimate screen diagonal in inches (common laptop: 13-15", desktop: 24-27")
+    const estimatedDiagonalInches = screenDiagonal > 3000 ? 27 : 15;
+    const estimatedPPI = screenDiagonal / estimatedDiagonalInches;
+    const pixelsPerInch = estimatedPPI;
+    const pixelsPerMeter = pixelsPerInch * 39.3701; // 1 meter = 39.3701 inches
+
+    return {
+      pixelsPerMeter,
+      estimatedPPI,
+      devicePixelRatio,
+      screenDiagonal: estimatedDiagonalInches,
+      calibrated: false
+    };
+  }
+}
+
+/**
+ * Check whether an element has room to scroll (1 down, -1 up, 0 either way)
+ */
+function canScroll(element, direction) {
+  const maxScroll = element.scrollHeight - element.clientHeight;
+  if (maxScroll < 1) return false;
+  if (direction > 0) return element.scrollTop < maxScroll - 1;
+  if (direction < 0) return element.scrollTop > 0;
+  return true;
+}
@@ -0,0 +1,162 @@
+/**
+ * NavigatorRecorder - Records a navigator's start/rotate/end, swipe and tap streams as JSON
+ *
+ * Recordings are played back with ReplayNavigator to reproduce layout bugs,
+ * build exhibition demo loops and compare scroll feel across builds.
+ * Custom markers (e.g. the intro being accepted) can be added with mark().
+ */
+
+export const RECORDING_VERSION = 1;
+
+export class NavigatorRecorder {
+  constructor(navigator, options = {}) {
+    this.navigator = navigator;
+
+    // Anything needed to rebuild the same session (e.g. the feed seed)
+    this.meta = options.meta || {};
+
+    // State
+    this.events = [];
+    this.startTime = null;
+    this.isRecording = false;
+
+    // Bind methods
+    this._handleStart = this._handleStart.bind(this);
+    this._handleRotate = this._handleRotate.bind(this);
+    this._handleEnd = this._handleEnd.bind(this);
+    this._handleFling = this._handleFling.bind(this);
+    this._handleSwipeStart = this._handleSwipeStart.bind(this);
+    this._handleSwipeMove = this._handleSwipeMove.bind(this);
+    this._handleSwipeEnd = this._handleSwipeEnd.bind(this);
+    this._handleTap = this._handleTap.bind(this);
+  }
+
+  /**
+   * Start recording (clears any previous recording)
+   */
+  start() {
+    if (this.isRecording) return this;
+
+    this.events = [];
+    this.startTime = performance.now();
+    this.isRecording = true;
+
+    this.navigator.on('start', this._handleStart);
+    this.navigator.on('rotate', this._handleRotate);
+    this.navigator.on('end', this._handleEnd);
+    this.navigator.on('fling', this._handleFling);
+    this.navigator.on('swipestart', this._handleSwipeStart);
+    this.navigator.on('swipemove', this._handleSwipeMove);
+    this.navigator.on('swipeend', this._handleSwipeEnd);
+    this.navigator.on('tap', this._handleTap);
+    return this;
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    if (!this.isRecording) return this;
+
+    this.isRecording = false;
+    this.navigator.off('start', this._handleStart);
+    this.navigator.off('rotate', this._handleRotate);
+    this.navigator.off('end', this._handleEnd);
+    this.navigator.off('fling', this._handleFling);
+    this.navigator.off('swipestart', this._handleSwipeStart);
+    this.navigator.off('swipemove', this._handleSwipeMove);
+    this.navigator.off('swipeend', this._handleSwipeEnd);
+    this.navigator.off('tap', this._handleTap);
+    return this;
+  }
+
+  /**
+   * Add a named marker to the timeline
+   */
+  mark(name, data = {}) {
+    this._record('mark', { name, ...data });
+  }
+
+  _handleStart() {
+    this._record('start', {});
+  }
+
+  _handleRotate(data) {
+    // Only deltas are stored - totals are rebuilt on replay
+    this._record('rotate', {
+      delta: data.delta,
+      rotationDelta: data.rotationDelta,
+      distanceDelta: data.distance.delta,
+      angle: data.angle,
+      radius: data.distance.radius
+    });
+  }
+
+  _handleEnd() {
+    this._record('end', {});
+  }
+
+  _handleFling(event) {
+    this._record('fling', { velocity: event.velocity });
+  }
+
+  _handleSwipeStart(swipe) {
+    this._record('swipestart', { x: swipe.startX, y: swipe.startY });
+  }
+
+  _handleSwipeMove(swipe) {
+    this._record('swipemove', { dx: swipe.dx, velocity: swipe.velocity });
+  }
+
+  _handleSwipeEnd(swipe) {
+    this._record('swipeend', { cancelled: swipe.cancelled });
+  }
+
+  _handleTap(data) {
+    this._record('tap', { x: data.x, y: data.y });
+  }
+
+  _record(type, data) {
+    if (!this.isRecording) return;
+
+    this.events.push({
+      t: Math.round((performance.now() - this.startTime) * 10) / 10, // ms since start
+      type,
+      ...data
+    });
+  }
+
+  /**
+   * Serializable recording
+   */
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      meta: {
+        ...this.meta,
+        recordedAt: new Date().toISOString(),
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+        devicePixelRatio: window.devicePixelRatio || 1
+      },
+      duration: this.events.length ? this.events[this.events.length - 1].t : 0,
+      events: this.events
+    };
+  }
+
+  /**
+   * Download the recording as a .json file
+   */
+  download(filename = `navigator-recording-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * ParallaxLayer - One scrolling track of an InfiniteScroll
+ *
+ * A layer fills endless integer indices from its own content source and
+ * scrolls at its own speed. Declared with:
+ * - source(index): the item at an index (null leaves the slot empty)
+ * - createElement(item, index): the item's element (positioned by the layer)
+ * - releaseElement(element, index): called when the item scrolls out of range
+ * - parallax: track speed relative to the feed (1 moves with the posts,
+ *   0.5 is further back, above 1 is in the foreground)
+ * - contentParallax: how far items' content drifts with their distance from
+ *   the viewport center, exposed to CSS as --parallax-offset
+ * - gaps: 'none' (back to back), 'clustered' (a few close items, then a big
+ *   gap; { strategy: 'clustered', min, max } in px) or (random) => gap pattern
+ * - blendMode / zIndex: mix-blend-mode and stacking order of the track
+ *
+ * Items are one viewport tall until measured (setSize). Positions come from a
+ * LayoutIndex, so variable heights and gaps stay fast at any depth.
+ */
+import { LayoutIndex } from './LayoutIndex.js';
+
+/**
+ * Gap patterns by strategy name; each returns gaps that repeat down the layer
+ */
+const GAP_STRATEGIES = {
+  none: () => [],
+
+  clustered: (random, { min = 48, max = 1200, length = 1000 } = {}) => {
+    const gaps = [];
+    while (gaps.length < length) {
+      // 2-5 items with small gaps
+      const groupSize = 2 + Math.floor(random() * 4); // 2, 3, 4, or 5
+
+      for (let i = 0; i < groupSize && gaps.length < length; i++) {
+        // Small gap with slight variation
+        gaps.push(min + random() * 30);
+      }
+
+      // One big gap after the group
+      if (gaps.length < length) {
+        gaps.push(min + 400 + random() * (max - 400));
+      }
+    }
+    return gaps;
+  }
+};
+
+export class ParallaxLayer {
+  constructor(options = {}) {
+    this.id = options.id;
+    this.source = options.source;
+    this.createElement = options.createElement;
+    this.releaseElement = options.releaseElement || (element => element.remove());
+
+    // Configuration
+    this.parallax = options.parallax !== undefined ? options.parallax : 1;
+    this.contentParallax = options.contentParallax || 0;
+    this.blendMode = options.blendMode || 'normal';
+    this.zIndex = options.zIndex || 0;
+    this.className = options.className || '';
+    this.bufferSize = options.bufferSize || 3; // Items to keep above/below the viewport
+    this.audio = options.audio || 'background'; // 'focus': heard when centered, 'background': mixed low
+
+    this.layout = new LayoutIndex({ gaps: createGapPattern(options.gaps, options.random || Math.random) });
+
+    // State
+    this.track = null;
+    this.elements = new Map(); // index -> element
+    this.offset = 0; // Track padding above the first item
+    this.viewportHeight = 0;
+  }
+
+  /**
+   * Create the layer's track inside a container
+   */
+  mount(container) {
+    this.track = document.createElement('div');
+    this.track.className = `infinite-scroll-track ${this.className}`.trim();
+    this.track.dataset.layer = this.id;
+    this.track.style.zIndex = this.zIndex;
+    this.track.style.mixBlendMode = this.blendMode;
+    container.appendChild(this.track);
+  }
+
+  /**
+   * Update for a new viewport size (unmeasured items are one viewport tall)
+   */
+  resize(viewportHeight) {
+    this.viewportHeight = viewportHeight;
+    this.layout.setDefaultSize(viewportHeight);
+
+    // Items sit below the track's top padding (may differ between desktop and mobile)
+    this.offset = parseFloat(getComputedStyle(this.track).paddingTop) || 0;
+  }
+
+  /**
+   * Create, recycle and position items for a feed offset
+   */
+  render(feedOffset) {
+    const scrollY = feedOffset * this.parallax;
+    const startIndex = this.layout.findIndexAt(scrollY) - this.bufferSize;
+    const endIndex = this.layout.findIndexAt(scrollY + this.viewportHeight) + this.bufferSize;
+
+    // Remove items that are no longer in range
+    for (const [index, element] of this.elements) {
+      if (index < startIndex || index > endIndex) {
+        this.releaseElement(element, index);
+        this.elements.delete(index);
+      }
+    }
+
+    // Add and position items
+    for (let i = startIndex; i <= endIndex; i++) {
+      if (!this.elements.has(i)) {
+        const item = this.source(i);
+        const element = item ? this.createElement(item, i) : null;
+        if (element) {
+          this.track.appendChild(element);
+          this.elements.set(i, element);
+        }
+      }
+
+      const element = this.elements.get(i);
+      if (!element) continue;
+
+      const yPosition = this.layout.getPosition(i);
+      element.style.transform = `translateY(${yPosition}px)`;
+
+      if (this.contentParallax) {
+        const itemCenterY = yPosition + this.layout.getSize(i) / 2 - scrollY;
+        const distanceFromCenter = itemCenterY - this.viewportHeight / 2;
+        element.style.setProperty('--parallax-offset', `${distanceFromCenter * this.contentParallax}px`);
+      }
+    }
+
+    this.track.style.transform = `translateY(${-scrollY}px)`;
+  }
+
+  /**
+   * Top of an item relative to the viewport at a feed offset
+   */
+  getViewportTop(index, feedOffset) {
+    return this.offset + this.layout.getPosition(index) - feedOffset * this.parallax;
+  }
+
+  /**
+   * Drop an item so the next render creates it again (e.g. its content changed)
+   */
+  invalidate(index) {
+    const element = this.elements.get(index);
+    if (!element) return;
+
+    this.releaseElement(element, index);
+    this.elements.delete(index);
+  }
+}
+
+function createGapPattern(gaps = 'none', random) {
+  if (typeof gaps === 'function') return gaps(random);
+
+  const { strategy, ...options } = typeof gaps === 'string' ? { strategy: gaps } : gaps;
+  const generate = GAP_STRATEGIES[strategy];
+  if (!generate) throw new Error(`ParallaxLayer: unknown gap strategy "${strategy}"`);
+  return generate(random, options);
+}
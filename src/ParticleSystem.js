@@ -0,0 +1,157 @@
+/**
+ * ParticleSystem - Emoji particle bursts with simple physics
+ *
+ * Shared by milestone confetti and the double-tap like burst. Particles are
+ * absolutely positioned elements moved with GPU-accelerated transforms:
+ * launched at an angle, pulled down by gravity, slowed by drag, then faded.
+ */
+import { randomItem } from './random.js';
+
+export class ParticleSystem {
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+    this.className = options.className || 'confetti-container';
+    this.particleClassName = options.particleClassName || 'confetti-particle';
+
+    // State
+    this.container = null;
+    this.activeParticles = [];
+    this.animationId = null;
+  }
+
+  /**
+   * Launch a burst of particles from a point in viewport pixels
+   */
+  burst({ count, x, y, spread, angle, velocity, gravity = 900, fadeDelay = { min: 1200, max: 2000 }, emojis }) {
+    // Create container if not exists
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = this.className;
+      document.body.appendChild(this.container);
+    }
+
+    // Use DocumentFragment for single DOM insertion
+    const fragment = document.createDocumentFragment();
+    const newParticles = [];
+
+    for (let i = 0; i < count; i++) {
+      const emoji = randomItem(emojis, this.random);
+
+      // Create particle element
+      const particle = document.createElement('div');
+      particle.className = this.particleClassName;
+      particle.textContent = emoji;
+
+      // Random angle within spread (convert to radians)
+      const particleAngle = (angle + (this.random() - 0.5) * spread) * (Math.PI / 180);
+      const speed = velocity.min + this.random() * (velocity.max - velocity.min);
+
+      // Initial physics state
+      const state = {
+        element: particle,
+        x: x - 16, // center the emoji
+        y: y - 16,
+        vx: Math.cos(particleAngle) * speed,
+        vy: Math.sin(particleAngle) * speed,
+        rotation: this.random() * 360,
+        rotationSpeed: (this.random() - 0.5) * 720, // degrees per second
+        scale: 0.7 + this.random() * 0.6,
+        opacity: 1,
+        gravity: gravity + this.random() * 300,
+        drag: 0.98,
+        fadeDelay: fadeDelay.min + this.random() * (fadeDelay.max - fadeDelay.min), // ms before fading
+        lifetime: 0
+      };
+
+      // Apply initial transform before adding to DOM
+      this.updateParticleTransform(state);
+
+      newParticles.push(state);
+      fragment.appendChild(particle);
+    }
+
+    // Single DOM insertion for all particles in this burst
+    this.container.appendChild(fragment);
+    this.activeParticles.push(...newParticles);
+
+    if (!this.animationId) {
+      this.animate();
+    }
+  }
+
+  /**
+   * Animation loop using requestAnimationFrame
+   */
+  animate() {
+    let lastTime = performance.now();
+
+    const step = (currentTime) => {
+      const deltaTime = Math.max(0, currentTime - lastTime) / 1000; // seconds
+      lastTime = currentTime;
+
+      for (let i = this.activeParticles.length - 1; i >= 0; i--) {
+        const p = this.activeParticles[i];
+        p.lifetime += deltaTime * 1000;
+
+        // Apply physics
+        p.vy += p.gravity * deltaTime;
+        p.vx *= p.drag;
+        p.vy *= p.drag;
+        p.x += p.vx * deltaTime;
+        p.y += p.vy * deltaTime;
+        p.rotation += p.rotationSpeed * deltaTime;
+
+        // Fade out after delay
+        if (p.lifetime > p.fadeDelay) {
+          p.opacity -= deltaTime * 2.5; // fade over ~0.4s
+        }
+
+        // Remove if off-screen or faded
+        if (p.opacity <= 0 || p.y > window.innerHeight + 100) {
+          p.element.remove();
+          this.activeParticles.splice(i, 1);
+        } else {
+          this.updateParticleTransform(p);
+        }
+      }
+
+      this.animationId = this.activeParticles.length > 0 ? requestAnimationFrame(step) : null;
+    };
+
+    this.animationId = requestAnimationFrame(step);
+  }
+
+  /**
+   * Update particle CSS transform (GPU-accelerated)
+   */
+  updateParticleTransform(p) {
+    p.element.style.transform = `translate3d(${p.x}px, ${p.y}px, 0) rotate(${p.rotation}deg) scale(${p.scale})`;
+    p.element.style.opacity = p.opacity;
+  }
+
+  /**
+   * Clear all active particles
+   */
+  clear() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+
+    for (const p of this.activeParticles) {
+      p.element.remove();
+    }
+    this.activeParticles = [];
+  }
+
+  /**
+   * Remove the particle layer (cleanup)
+   */
+  destroy() {
+    this.clear();
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+  }
+}
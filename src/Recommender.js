@@ -0,0 +1,225 @@
+/**
+ * Recommender - Local, inspectable engagement model for the gen-z feed
+ *
+ * Learns a score per tag from what the viewer does with each post:
+ * - dwell: time spent on a post (longer than usual = more interest)
+ * - rewatch: scrolling back up to a post
+ * - skip: leaving a post quickly, worse the faster the flick
+ *
+ * Upcoming posts are picked by tag affinity plus manifest weight, minus a
+ * penalty for posts seen recently, with some random exploration so new
+ * tags still get a chance. Posts shown within minRepeatDistance are never
+ * picked. Every pick keeps a breakdown of why it won,
+ * which the debug panel shows. Nothing leaves the browser.
+ */
+
+export class Recommender {
+  constructor(items, options = {}) {
+    this.items = items.filter(item => item.weight > 0);
+    this.random = options.random || Math.random;
+
+    // Learning
+    this.learningRate = options.learningRate || 0.35;
+    this.affinityDecay = options.affinityDecay || 0.97; // Per signal - older signals fade
+    this.baselineDwell = options.baselineDwell || 2500; // ms - dwell that counts as neutral
+    this.rewatchReward = options.rewatchReward || 1.5;
+    this.fastSkipVelocity = options.fastSkipVelocity || 3; // px/ms - skips at this speed count fully
+
+    // Picking
+    this.explorationRate = options.explorationRate !== undefined ? options.explorationRate : 0.15;
+    this.recencyWindow = Math.min(options.recencyWindow || 8, Math.max(this.items.length - 1, 0));
+    this.recencyPenalty = options.recencyPenalty || 3;
+    this.minRepeatDistance = Math.max(1, Math.min(options.minRepeatDistance || 8, Math.floor(this.items.length / 2)));
+    this.historyLength = Math.max(this.recencyWindow, this.minRepeatDistance - 1); // Recent items pick() needs
+    this.maxSignals = 50; // Kept for the debug panel
+
+    // State
+    this.tagAffinity = new Map(); // tag -> score
+    this.signals = []; // Most recent first
+    this.eventListeners = {};
+  }
+
+  /**
+   * Record time spent on a post
+   */
+  recordDwell(item, duration) {
+    // Twice the baseline = +1, half = -1
+    const reward = Math.max(-1, Math.min(2, Math.log2(Math.max(duration, 1) / this.baselineDwell)));
+    this._learn(item, reward, 'dwell', { duration });
+  }
+
+  /**
+   * Record the viewer scrolling back to a post
+   */
+  recordRewatch(item) {
+    this._learn(item, this.rewatchReward, 'rewatch', {});
+  }
+
+  /**
+   * Record a post being flicked past
+   */
+  recordSkip(item, velocity) {
+    const reward = -(0.5 + Math.min(Math.abs(velocity) / this.fastSkipVelocity, 1));
+    this._learn(item, reward, 'skip', { velocity });
+  }
+
+  /**
+   * Pick the next post
+   * recent: items shown just before, most recent first
+   * Returns { item, mode, score, reasons } - reasons explain the score
+   */
+  pick(recent = []) {
+    if (this.items.length === 0) return null;
+
+    const recentIds = recent.slice(0, this.recencyWindow).map(item => item.id);
+
+    // Hard rule: nothing shown within minRepeatDistance comes back
+    const blockedIds = recent.slice(0, this.minRepeatDistance - 1).map(item => item.id);
+    const allowed = this.items.filter(item => !blockedIds.includes(item.id));
+    const scored = (allowed.length > 0 ? allowed : this.items).map(item => this.score(item, recentIds));
+
+    // Exploration ignores affinity (but still avoids recent repeats)
+    if (this.random() < this.explorationRate) {
+      const fresh = scored.filter(entry => !recentIds.includes(entry.item.id));
+      const pool = fresh.length > 0 ? fresh : scored;
+      const choice = pool[Math.floor(this.random() * pool.length)];
+      const pick = { ...choice, mode: 'explore', reasons: [{ label: 'exploring (random pick)', value: 0 }, ...choice.reasons] };
+      this.emit('pick', pick);
+      return pick;
+    }
+
+    // Small jitter breaks ties between equally scored posts
+    let best = null;
+    let bestValue = -Infinity;
+    for (const entry of scored) {
+      const value = entry.score + this.random() * 0.1;
+      if (value > bestValue) {
+        best = entry;
+        bestValue = value;
+      }
+    }
+
+    const pick = { ...best, mode: 'exploit' };
+    this.emit('pick', pick);
+    return pick;
+  }
+
+  /**
+   * Score one post with a breakdown of where the score came from
+   */
+  score(item, recentIds = []) {
+    const reasons = [];
+
+    const tags = item.tags;
+    let affinity = 0;
+    for (const tag of tags) {
+      const tagScore = this.tagAffinity.get(tag) || 0;
+      affinity += tagScore / tags.length;
+      if (tagScore !== 0) {
+        reasons.push({ label: `#${tag} affinity`, value: tagScore / tags.length });
+      }
+    }
+
+    const weightBonus = Math.log(item.weight);
+    if (weightBonus !== 0) {
+      reasons.push({ label: `weight ${item.weight}`, value: weightBonus });
+    }
+
+    // The more recently seen, the bigger the penalty
+    let recency = 0;
+    const recentPosition = recentIds.indexOf(item.id);
+    if (recentPosition !== -1) {
+      recency = -this.recencyPenalty * (1 - recentPosition / (this.recencyWindow || 1));
+      reasons.push({ label: `seen ${recentPosition + 1} post(s) ago`, value: recency });
+    }
+
+    return { item, score: affinity + weightBonus + recency, reasons };
+  }
+
+  /**
+   * Tag affinities, strongest first
+   */
+  getTagAffinities() {
+    return [...this.tagAffinity.entries()]
+      .map(([tag, score]) => ({ tag, score }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Recent signals, most recent first
+   */
+  getSignals() {
+    return this.signals;
+  }
+
+  /**
+   * Forget everything learned (e.g. for the next visitor)
+   */
+  reset() {
+    this.tagAffinity.clear();
+    this.signals = [];
+    this.emit('reset', {});
+  }
+
+  _learn(item, reward, type, data) {
+    if (!item) return;
+
+    // Fade what was learned before so the model follows changing moods
+    for (const [tag, score] of this.tagAffinity) {
+      this.tagAffinity.set(tag, score * this.affinityDecay);
+    }
+
+    for (const tag of item.tags) {
+      const score = this.tagAffinity.get(tag) || 0;
+      this.tagAffinity.set(tag, score + reward * this.learningRate);
+    }
+
+    const signal = { type, item, reward, time: performance.now(), ...data };
+    this.signals.unshift(signal);
+    if (this.signals.length > this.maxSignals) {
+      this.signals.pop();
+    }
+
+    this.emit('signal', signal);
+  }
+
+  /**
+   * Event system: subscribe to events
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+    return this; // Allow chaining
+  }
+
+  /**
+   * Event system: unsubscribe from events
+   */
+  off(event, callback) {
+    if (!this.eventListeners[event]) return this;
+
+    if (callback) {
+      this.eventListeners[event] = this.eventListeners[event].filter(cb => cb !== callback);
+    } else {
+      delete this.eventListeners[event];
+    }
+    return this;
+  }
+
+  /**
+   * Event system: emit events
+   */
+  emit(event, data) {
+    if (!this.eventListeners[event]) return;
+
+    this.eventListeners[event].forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in ${event} event listener:`, error);
+      }
+    });
+  }
+}
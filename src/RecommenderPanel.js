@@ -0,0 +1,148 @@
+/**
+ * RecommenderPanel - Debug overlay explaining the feed "algorithm"
+ *
+ * Shows why the focused post was picked (score breakdown), the learned tag
+ * affinities and the latest engagement signals. Read-only and click-through,
+ * so it can stay open while scrolling.
+ */
+
+export class RecommenderPanel {
+  constructor(infiniteScroll, recommender, options = {}) {
+    this.infiniteScroll = infiniteScroll;
+    this.recommender = recommender;
+    this.maxSignals = options.maxSignals || 6;
+    this.maxTags = options.maxTags || 8;
+
+    // State
+    this.element = null;
+    this.updateId = null;
+
+    // Bind methods
+    this.scheduleUpdate = this.scheduleUpdate.bind(this);
+
+    this.createUI();
+    this.infiniteScroll.on('scroll', this.scheduleUpdate);
+    this.recommender.on('signal', this.scheduleUpdate);
+    this.recommender.on('reset', this.scheduleUpdate);
+    this.update();
+  }
+
+  /**
+   * Create the panel DOM structure
+   */
+  createUI() {
+    this.element = document.createElement('div');
+    this.element.className = 'recommender-panel';
+    this.element.innerHTML = `
+      <div class="recommender-panel-title">the algorithm</div>
+      <div class="recommender-panel-section recommender-panel-pick"></div>
+      <div class="recommender-panel-heading">tag affinity</div>
+      <div class="recommender-panel-section recommender-panel-tags"></div>
+      <div class="recommender-panel-heading">signals</div>
+      <div class="recommender-panel-section recommender-panel-signals"></div>
+    `;
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Redraw at most once per frame
+   */
+  scheduleUpdate() {
+    if (this.updateId) return;
+    this.updateId = requestAnimationFrame(() => {
+      this.updateId = null;
+      this.update();
+    });
+  }
+
+  update() {
+    this.renderPick();
+    this.renderTags();
+    this.renderSignals();
+  }
+
+  renderPick() {
+    const container = this.element.querySelector('.recommender-panel-pick');
+    const index = this.infiniteScroll.getFocusedGenzIndex();
+    const pick = this.infiniteScroll.getGenzPick(index);
+    container.replaceChildren();
+    if (!pick) return;
+
+    const tags = pick.item.tags.map(tag => `#${tag}`).join(' ');
+    container.appendChild(this.createRow(`post ${index}: ${pick.item.id}`, tags));
+    container.appendChild(this.createRow(
+      { explore: 'picked at random', linked: 'opened from a link' }[pick.mode] || 'picked for score',
+      formatScore(pick.score)
+    ));
+
+    if (pick.reasons.length === 0 && pick.mode !== 'linked') {
+      container.appendChild(this.createRow('no signals yet - every post scored 0', ''));
+    }
+    pick.reasons.forEach(reason => {
+      container.appendChild(this.createRow(`  ${reason.label}`, formatScore(reason.value)));
+    });
+  }
+
+  renderTags() {
+    const container = this.element.querySelector('.recommender-panel-tags');
+    const affinities = this.recommender.getTagAffinities().slice(0, this.maxTags);
+    container.replaceChildren();
+
+    if (affinities.length === 0) {
+      container.appendChild(this.createRow('nothing learned yet', ''));
+      return;
+    }
+
+    const maxScore = Math.max(...affinities.map(({ score }) => Math.abs(score)), 1);
+    affinities.forEach(({ tag, score }) => {
+      const row = this.createRow(`#${tag}`, formatScore(score));
+      const bar = document.createElement('div');
+      bar.className = 'recommender-panel-bar' + (score < 0 ? ' negative' : '');
+      bar.style.width = `${(Math.abs(score) / maxScore) * 100}%`;
+      row.appendChild(bar);
+      container.appendChild(row);
+    });
+  }
+
+  renderSignals() {
+    const container = this.element.querySelector('.recommender-panel-signals');
+    const signals = this.recommender.getSignals().slice(0, this.maxSignals);
+    container.replaceChildren();
+
+    signals.forEach(signal => {
+      let detail = '';
+      if (signal.type === 'dwell') detail = ` ${(signal.duration / 1000).toFixed(1)}s`;
+      if (signal.type === 'skip') detail = ` ${Math.abs(signal.velocity).toFixed(1)}px/ms`;
+      container.appendChild(this.createRow(`${signal.type}${detail} ${signal.item.id}`, formatScore(signal.reward)));
+    });
+  }
+
+  createRow(label, value) {
+    const row = document.createElement('div');
+    row.className = 'recommender-panel-row';
+
+    const labelElement = document.createElement('span');
+    labelElement.textContent = label;
+    const valueElement = document.createElement('span');
+    valueElement.textContent = value;
+
+    row.appendChild(labelElement);
+    row.appendChild(valueElement);
+    return row;
+  }
+
+  /**
+   * Remove the panel (cleanup)
+   */
+  destroy() {
+    if (this.updateId) cancelAnimationFrame(this.updateId);
+    this.infiniteScroll.off('scroll', this.scheduleUpdate);
+    this.recommender.off('signal', this.scheduleUpdate);
+    this.recommender.off('reset', this.scheduleUpdate);
+    this.element.remove();
+  }
+}
+
+function formatScore(value) {
+  return (value >= 0 ? '+' : '') + value.toFixed(2);
+}
@@ -0,0 +1,188 @@
+/**
+ * ReplayNavigator - Plays a NavigatorRecorder recording back as navigator events
+ *
+ * Drop-in for ScrollNavigator/CircularNavigator: InfiniteScroll,
+ * MilestoneCelebration and anything else connected to it receive the same
+ * start/rotate/end stream, at real or accelerated speed. Recorded markers
+ * are emitted as 'mark' events.
+ */
+import { Navigator } from './Navigator.js';
+import { RECORDING_VERSION } from './NavigatorRecorder.js';
+import { fetchJson } from './fetchJson.js';
+
+export class ReplayNavigator extends Navigator {
+  constructor(recording, options = {}) {
+    super(null, options);
+
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      throw new Error(`ReplayNavigator: unsupported recording version ${recording && recording.version}`);
+    }
+
+    this.recording = recording;
+    this.speed = options.speed || 1; // 2 = twice as fast
+    this.loop = options.loop || false;
+
+    // Playback state
+    this.cursor = 0; // Next event to emit
+    this.elapsed = 0; // Recording time played so far (ms)
+    this.lastFrameTime = null;
+    this.playbackId = null;
+    this.resolvePlayback = null;
+
+    this._tick = this._tick.bind(this);
+  }
+
+  /**
+   * Fetch a recording and create a navigator for it
+   */
+  static async load(url, options = {}) {
+    return new ReplayNavigator(await fetchJson(url), options);
+  }
+
+  /**
+   * Get the seed the recorded session used (for the feed order)
+   */
+  getSeed() {
+    return this.recording.meta ? this.recording.meta.seed : undefined;
+  }
+
+  /**
+   * Get the deep link the recorded session was opened with, if any
+   */
+  getLink() {
+    return this.recording.meta ? this.recording.meta.link : undefined;
+  }
+
+  /**
+   * Start or resume playback
+   * Resolves when the recording finishes (never, when looping) or stop() is called
+   */
+  play({ speed, loop } = {}) {
+    if (speed !== undefined) this.speed = speed;
+    if (loop !== undefined) this.loop = loop;
+
+    if (!this.playbackId) {
+      this.lastFrameTime = performance.now();
+      this.playbackId = requestAnimationFrame(this._tick);
+    }
+
+    return new Promise((resolve) => {
+      this.resolvePlayback = resolve;
+    });
+  }
+
+  /**
+   * Pause playback where it is
+   */
+  pause() {
+    if (this.playbackId) {
+      cancelAnimationFrame(this.playbackId);
+      this.playbackId = null;
+    }
+  }
+
+  /**
+   * Stop playback and rewind to the beginning
+   */
+  stop() {
+    this.pause();
+    this._rewind();
+    this._finish();
+  }
+
+  /**
+   * Stop playback (cleanup)
+   */
+  destroy() {
+    this.stop();
+    super.destroy();
+  }
+
+  /**
+   * Emit every event due since the last frame
+   */
+  _tick(currentTime) {
+    this.elapsed += (currentTime - this.lastFrameTime) * this.speed;
+    this.lastFrameTime = currentTime;
+
+    const events = this.recording.events;
+    while (this.cursor < events.length && events[this.cursor].t <= this.elapsed) {
+      this._emitRecorded(events[this.cursor]);
+      this.cursor++;
+    }
+
+    if (this.cursor >= events.length) {
+      if (!this.loop) {
+        this.playbackId = null;
+        this._finish();
+        return;
+      }
+      this._rewind();
+    }
+
+    this.playbackId = requestAnimationFrame(this._tick);
+  }
+
+  /**
+   * Re-emit one recorded event through the navigator core
+   */
+  _emitRecorded(event) {
+    switch (event.type) {
+      case 'start':
+        this.begin(this);
+        break;
+      case 'rotate':
+        this.move(event.distanceDelta, {
+          steps: event.delta,
+          rotationDelta: event.rotationDelta,
+          angle: event.angle,
+          radius: event.radius
+        });
+        break;
+      case 'end':
+        this.release(this);
+        break;
+      case 'fling':
+        // The recorded rotates already contain whatever followed the fling
+        this.emit('fling', { velocity: event.velocity, value: this.value, preventDefault() {} });
+        break;
+      case 'mark':
+        this.emit('mark', event);
+        break;
+      case 'swipestart':
+        this.beginSwipe(event.x, event.y);
+        break;
+      case 'swipemove':
+        this.moveSwipe(event.dx, event.velocity);
+        break;
+      case 'swipeend':
+        this.endSwipe({ cancelled: event.cancelled });
+        break;
+      case 'tap':
+        this.tap(event.x, event.y);
+        break;
+    }
+  }
+
+  /**
+   * Go back to the start of the recording (distance keeps accumulating)
+   */
+  _rewind() {
+    this.cursor = 0;
+    this.elapsed = 0;
+    if (this.isActive) {
+      this.release(this);
+    }
+    this.endSwipe({ cancelled: true });
+  }
+
+  /**
+   * Resolve the pending play() promise
+   */
+  _finish() {
+    if (this.resolvePlayback) {
+      this.resolvePlayback();
+      this.resolvePlayback = null;
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * ShuffledSequence - Endless, repeat-avoiding order over a list of items
+ *
+ * Index i maps to an item for any integer i. Every cycle of items.length
+ * indices is a fresh shuffle (no fixed loop), and an item never reappears
+ * within minDistance indices, including across the seam between cycles.
+ *
+ * Cycles are generated outward from cycle 0: cycle c > 0 is fitted to the
+ * end of cycle c - 1, cycle c < 0 to the start of cycle c + 1, each from its
+ * own seeded stream. So the mapping is the same no matter which direction the
+ * user scrolled first, and scrolling back shows the same items. Only the
+ * cycles nearest the one in use stay cached; others are rebuilt on demand.
+ */
+import { createRandom, shuffle } from './random.js';
+
+export class ShuffledSequence {
+  constructor(items, options = {}) {
+    this.items = items.slice();
+    this.seed = options.seed;
+    this.stream = options.stream || 'sequence'; // Separates sequences built from the same seed
+
+    // More than half a cycle can't be guaranteed at both seams
+    const requested = options.minDistance !== undefined ? options.minDistance : 8;
+    this.minDistance = Math.max(1, Math.min(requested, Math.floor(this.items.length / 2)));
+
+    // Generated cycles: number -> array of item indices
+    this.cycles = new Map();
+    this.maxCachedCycles = options.maxCachedCycles || 64; // Cycles kept around the one in use
+  }
+
+  /**
+   * Get the item at a sequence index
+   */
+  get(index) {
+    const length = this.items.length;
+    if (length === 0) return null;
+
+    const cycle = Math.floor(index / length);
+    return this.items[this._getCycle(cycle)[index - cycle * length]];
+  }
+
+  _getCycle(cycle) {
+    if (this.cycles.has(cycle)) return this.cycles.get(cycle);
+
+    // Walk out from the nearest cached cycle between 0 and this one, so every
+    // cycle is fitted against the same neighbour
+    const direction = Math.sign(cycle);
+    let from = null;
+    for (const cached of this.cycles.keys()) {
+      if (cached * direction >= 0 && Math.abs(cached) < Math.abs(cycle) &&
+          (from === null || Math.abs(cached) > Math.abs(from))) {
+        from = cached;
+      }
+    }
+
+    let order;
+    if (from === null) {
+      from = 0;
+      order = this._shuffleCycle(0);
+      this.cycles.set(0, order);
+    } else {
+      order = this.cycles.get(from);
+    }
+
+    for (let c = from + direction; c !== cycle + direction; c += direction) {
+      if (direction > 0) {
+        order = this._fitAfter(this._shuffleCycle(c), order);
+      } else {
+        // Mirror image: fit the reversed cycle after the reversed next cycle
+        order = this._fitAfter(this._shuffleCycle(c), order.slice().reverse()).reverse();
+      }
+      this.cycles.set(c, order);
+    }
+
+    this._trimCache(cycle);
+    return order;
+  }
+
+  /**
+   * Forget the cycles furthest from the one in use (they can be rebuilt)
+   */
+  _trimCache(cycle) {
+    if (this.cycles.size <= this.maxCachedCycles) return;
+
+    const byDistance = [...this.cycles.keys()].sort((a, b) => Math.abs(a - cycle) - Math.abs(b - cycle));
+    byDistance.slice(this.maxCachedCycles).forEach(stale => this.cycles.delete(stale));
+  }
+
+  _shuffleCycle(cycle) {
+    const order = this.items.map((item, i) => i);
+    return shuffle(order, createRandom(this.seed, `${this.stream}:${cycle}`));
+  }
+
+  /**
+   * Reorder the start of a cycle so nothing from the end of the previous one
+   * repeats within minDistance
+   */
+  _fitAfter(order, previous) {
+    const length = order.length;
+    const positionInPrevious = new Map(previous.map((item, position) => [item, position]));
+
+    // Item at position p sits (p + length - q) after its copy at position q of the previous cycle
+    const fits = (item, position) => position + length - positionInPrevious.get(item) >= this.minDistance;
+
+    for (let p = 0; p < this.minDistance - 1; p++) {
+      if (fits(order[p], p)) continue;
+
+      // Swap with the first later item that fits here and whose spot suits the displaced item
+      for (let j = p + 1; j < length; j++) {
+        if (fits(order[j], p) && fits(order[p], j)) {
+          [order[p], order[j]] = [order[j], order[p]];
+          break;
+        }
+      }
+    }
+
+    return order;
+  }
+}
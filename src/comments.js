@@ -0,0 +1,98 @@
+/**
+ * Comment threads for gen-z posts, generated from /comments.json
+ *
+ * {
+ *   "version": 1,
+ *   "personas": [{ "handle": "doomscroll_dan", "avatar": "/content/...", "color": "#ff6b6b" }],
+ *   "comments": { "*": ["..."], "<tag>": ["..."] },  // top-level lines; "*" fits any post
+ *   "replies": ["..."]                              // reply lines
+ * }
+ *
+ * Threads are seeded by post id, not the session seed, so a post keeps the
+ * same comments (and the same ages) wherever and whenever it shows up.
+ */
+import { createRandom, randomItem, shuffle } from './random.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+/**
+ * Generate a post's thread
+ * Returns [{ persona, text, age, replies: [...] }] - age in ms before now
+ */
+export function generateThread(item, data, options = {}) {
+  if (!data || !Array.isArray(data.personas) || data.personas.length === 0) return [];
+
+  const maxComments = options.maxComments || 6;
+  const maxDepth = options.maxDepth || 2; // Replies to replies, but no deeper
+  const random = createRandom(item.id, 'comments');
+
+  // Lines for any post plus lines for the post's own topics, no repeats
+  const lines = data.comments || {};
+  const pool = shuffle([
+    ...(lines['*'] || []),
+    ...item.tags.flatMap(tag => lines[tag] || [])
+  ], random);
+
+  const postAge = HOUR + random() * 6 * DAY;
+  const count = Math.min(pool.length, 2 + Math.floor(random() * (maxComments - 1)));
+
+  return pool.slice(0, count).map(text => {
+    const persona = randomItem(data.personas, random);
+    const age = postAge * (0.2 + random() * 0.8);
+    return {
+      persona,
+      text,
+      age,
+      replies: generateReplies(data, random, { persona, age }, 1, maxDepth)
+    };
+  });
+}
+
+function generateReplies(data, random, parent, depth, maxDepth) {
+  const replyLines = data.replies || [];
+  if (depth > maxDepth || replyLines.length === 0) return [];
+
+  // Most comments get no replies; a few get a pile-on
+  const chance = depth === 1 ? 0.55 : 0.25;
+  if (random() >= chance) return [];
+  const count = 1 + Math.floor(Math.pow(random(), 2) * (depth === 1 ? 6 : 2));
+
+  const replies = [];
+  for (let i = 0; i < count; i++) {
+    // Nobody replies to themselves
+    const others = data.personas.filter(persona => persona !== parent.persona);
+    const persona = randomItem(others.length > 0 ? others : data.personas, random);
+    const age = parent.age * random();
+    const reply = {
+      persona,
+      text: randomItem(replyLines, random),
+      mention: depth > 1 ? parent.persona.handle : null, // Nested replies @ the person they answer
+      age
+    };
+    reply.replies = generateReplies(data, random, reply, depth + 1, maxDepth);
+    replies.push(reply);
+  }
+
+  // Oldest first, like a conversation
+  return replies.sort((a, b) => b.age - a.age);
+}
+
+/**
+ * Count a comment's replies at every depth
+ */
+export function countReplies(comment) {
+  return (comment.replies || []).reduce((total, reply) => total + 1 + countReplies(reply), 0);
+}
+
+/**
+ * Short relative time, e.g. "5m", "3h", "2d", "1w"
+ */
+export function formatAge(ms) {
+  if (ms < HOUR) return `${Math.max(1, Math.floor(ms / MINUTE))}m`;
+  if (ms < DAY) return `${Math.floor(ms / HOUR)}h`;
+  if (ms < WEEK) return `${Math.floor(ms / DAY)}d`;
+  return `${Math.floor(ms / WEEK)}w`;
+}
@@ -0,0 +1,25 @@
+/**
+ * Easing curves for scripted scroll animations
+ *
+ * Each takes progress in [0, 1] and returns eased progress.
+ */
+export const EASINGS = {
+  linear: t => t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutQuint: t => 1 - Math.pow(1 - t, 5),
+  easeOutBack: t => {
+    const c1 = 1.70158;
+    const c3 = c1 + 1;
+    return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+  }
+};
+
+/**
+ * Resolve an easing given by name or as a function (falls back to easeOutCubic)
+ */
+export function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  return EASINGS[easing] || EASINGS.easeOutCubic;
+}
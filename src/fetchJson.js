@@ -0,0 +1,17 @@
+/**
+ * Fetch and parse a JSON file, failing with the URL and HTTP status
+ *
+ * fetch() only rejects on network errors; a 404 page would otherwise
+ * surface as a confusing JSON parse error.
+ */
+
+/**
+ * Fetch a URL and parse its body as JSON (rejects on a non-2xx response)
+ */
+export async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`.trim());
+  }
+  return response.json();
+}
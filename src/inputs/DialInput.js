@@ -0,0 +1,200 @@
+/**
+ * DialInput - Circular drag around the center of an element
+ *
+ * Converts the angle swept around the element's center into steps
+ * (one full turn = stepsPerRotation) and arc length into distance.
+ * Built on Pointer Events with pointer capture; only one pointer turns the
+ * dial at a time. Released spins keep turning with angular momentum.
+ */
+export class DialInput {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.navigator = null;
+    this.showTrail = options.showTrail !== undefined ? options.showTrail : true;
+
+    // Configuration
+    this.mouseButton = options.mouseButton !== undefined ? options.mouseButton : 0; // Primary button only
+    this.flickTimeout = options.flickTimeout || 100; // ms of stillness before release that cancels a spin
+    this.endDelay = options.endDelay || 150; // ms before 'end' so quick re-grabs stay one gesture
+    this.minRadius = options.minRadius || 10; // px - angles near the center are too noisy to use
+
+    // State
+    this.pointerId = null;
+    this.lastAngle = null;
+    this.lastRadius = 0;
+    this.lastMoveTime = null;
+    this.centerX = 0;
+    this.centerY = 0;
+
+    // Angular velocity tracking for momentum (radians per ms)
+    this.angularVelocity = 0;
+    this.velocityHistory = [];
+    this.velocityHistoryMax = 5;
+
+    // Bind methods
+    this.handleStart = this.handleStart.bind(this);
+    this.handleMove = this.handleMove.bind(this);
+    this.handleEnd = this.handleEnd.bind(this);
+    this.updateCenter = this.updateCenter.bind(this);
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attach(navigator) {
+    this.navigator = navigator;
+    this.element = this.element || navigator.element;
+
+    // Captured pointers keep delivering events to the element even outside it
+    this.element.addEventListener('pointerdown', this.handleStart);
+    this.element.addEventListener('pointermove', this.handleMove);
+    this.element.addEventListener('pointerup', this.handleEnd);
+    this.element.addEventListener('pointercancel', this.handleEnd);
+    this.element.addEventListener('lostpointercapture', this.handleEnd);
+
+    window.addEventListener('resize', this.updateCenter);
+    this.updateCenter();
+  }
+
+  /**
+   * Remove event listeners (cleanup)
+   */
+  detach() {
+    if (this.pointerId !== null && this.element.hasPointerCapture(this.pointerId)) {
+      this.element.releasePointerCapture(this.pointerId);
+    }
+
+    this.element.removeEventListener('pointerdown', this.handleStart);
+    this.element.removeEventListener('pointermove', this.handleMove);
+    this.element.removeEventListener('pointerup', this.handleEnd);
+    this.element.removeEventListener('pointercancel', this.handleEnd);
+    this.element.removeEventListener('lostpointercapture', this.handleEnd);
+
+    window.removeEventListener('resize', this.updateCenter);
+
+    this.pointerId = null;
+    this.navigator = null;
+  }
+
+  updateCenter() {
+    const rect = this.element.getBoundingClientRect();
+    this.centerX = rect.left + rect.width / 2;
+    this.centerY = rect.top + rect.height / 2;
+  }
+
+  handleStart(e) {
+    // Ignore secondary pointers while one is turning the dial
+    if (this.pointerId !== null) return;
+    if (e.pointerType === 'mouse' && e.button !== this.mouseButton) return;
+
+    e.preventDefault();
+
+    // Catching the dial stops it spinning
+    this.navigator.stopMomentum();
+
+    this.pointerId = e.pointerId;
+    this.lastAngle = null;
+    this.lastMoveTime = performance.now();
+    this.angularVelocity = 0;
+    this.velocityHistory = [];
+    this.updateCenter();
+
+    this.element.setPointerCapture(e.pointerId);
+
+    this.navigator.begin(this);
+  }
+
+  handleMove(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    const clientX = e.clientX;
+    const clientY = e.clientY;
+
+    const dx = clientX - this.centerX;
+    const dy = clientY - this.centerY;
+    const angle = Math.atan2(dy, dx);
+
+    // Calculate radius (distance from center to cursor)
+    const radius = Math.sqrt(dx * dx + dy * dy);
+    if (radius < this.minRadius) {
+      this.lastAngle = null; // Re-anchor once the pointer leaves the center
+      return;
+    }
+
+    // Show trail if enabled
+    if (this.showTrail) {
+      this.createTrail(clientX, clientY);
+    }
+
+    const currentTime = performance.now();
+
+    if (this.lastAngle !== null) {
+      let delta = angle - this.lastAngle;
+
+      // Handle wrap-around at -π/π boundary
+      if (delta > Math.PI) {
+        delta -= 2 * Math.PI;
+      } else if (delta < -Math.PI) {
+        delta += 2 * Math.PI;
+      }
+
+      // Track angular velocity for the release spin
+      const timeDelta = currentTime - this.lastMoveTime;
+      if (timeDelta > 0) {
+        this.velocityHistory.push(delta / timeDelta);
+        if (this.velocityHistory.length > this.velocityHistoryMax) {
+          this.velocityHistory.shift();
+        }
+        // Average recent velocities for smoother momentum
+        this.angularVelocity = this.velocityHistory.reduce((a, b) => a + b, 0) / this.velocityHistory.length;
+      }
+
+      // Calculate real distance traveled along the arc
+      // Arc length = radius × angle (in radians)
+      const arcDistance = radius * delta; // Signed distance (positive = clockwise, negative = counterclockwise)
+
+      // Convert radians to steps
+      const rotationDelta = delta / (2 * Math.PI);
+      const stepChange = rotationDelta * this.navigator.getStepsPerRotation();
+
+      this.navigator.move(arcDistance, { steps: stepChange, rotationDelta, angle, radius });
+    }
+
+    this.lastAngle = angle;
+    this.lastRadius = radius;
+    this.lastMoveTime = currentTime;
+  }
+
+  handleEnd(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    if (this.element.hasPointerCapture(e.pointerId)) {
+      this.element.releasePointerCapture(e.pointerId);
+    }
+    this.pointerId = null;
+    this.lastAngle = null;
+
+    // Holding still before letting go is a stop, not a spin
+    const heldStill = performance.now() - this.lastMoveTime > this.flickTimeout;
+    const arcVelocity = this.angularVelocity * this.lastRadius; // px/ms along the arc
+
+    if (!heldStill && e.type === 'pointerup' &&
+        Math.abs(arcVelocity) > this.navigator.minVelocity / 16) { // Convert to pixels/ms threshold
+      this.navigator.fling(arcVelocity, { radius: this.lastRadius });
+      this.navigator.release(this);
+    } else {
+      // Debounced so a quick re-grab continues the same gesture
+      this.navigator.releaseAfter(this, this.endDelay);
+    }
+  }
+
+  createTrail(x, y) {
+    const trail = document.createElement('div');
+    trail.className = 'rotation-trail';
+    trail.style.left = x + 'px';
+    trail.style.top = y + 'px';
+    document.body.appendChild(trail);
+
+    setTimeout(() => trail.remove(), 600);
+  }
+}
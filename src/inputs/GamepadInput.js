@@ -0,0 +1,141 @@
+/**
+ * GamepadInput - Gamepad API sticks and d-pad
+ *
+ * The d-pad behaves like the arrow keys (press glides, hold accelerates);
+ * a deflected stick drives the momentum velocity directly.
+ */
+import { KeyboardInput } from './KeyboardInput.js';
+
+// Standard gamepad mapping: d-pad up/down buttons and vertical stick axes
+const GAMEPAD_DPAD_UP = 12;
+const GAMEPAD_DPAD_DOWN = 13;
+const GAMEPAD_STICK_AXES = [1, 3]; // Left stick Y, right stick Y
+
+export class GamepadInput extends KeyboardInput {
+  constructor(options = {}) {
+    super(options);
+
+    // Configuration
+    this.deadzone = options.deadzone || 0.15;
+
+    // State
+    this.axis = 0; // Strongest stick deflection past the deadzone (-1..1)
+    this.pollId = null;
+
+    // Bind methods
+    this._handleGamepadConnected = this._handleGamepadConnected.bind(this);
+    this._poll = this._poll.bind(this);
+  }
+
+  /**
+   * Attach event listeners (gamepads only report after the first button press)
+   */
+  attach(navigator) {
+    this.navigator = navigator;
+    window.addEventListener('gamepadconnected', this._handleGamepadConnected);
+    if (this._getGamepads().some(Boolean)) {
+      this._handleGamepadConnected();
+    }
+  }
+
+  /**
+   * Remove event listeners and stop polling (cleanup)
+   */
+  detach() {
+    window.removeEventListener('gamepadconnected', this._handleGamepadConnected);
+    if (this.pollId) {
+      cancelAnimationFrame(this.pollId);
+      this.pollId = null;
+    }
+    this.axis = 0;
+    this.heldKeys.clear();
+    this.navigator = null;
+  }
+
+  /**
+   * Start polling once a gamepad is connected
+   */
+  _handleGamepadConnected() {
+    if (!this.pollId) {
+      this.pollId = requestAnimationFrame(this._poll);
+    }
+  }
+
+  /**
+   * Get connected gamepads (empty when the Gamepad API is unavailable)
+   */
+  _getGamepads() {
+    if (!window.navigator.getGamepads) return [];
+    return Array.from(window.navigator.getGamepads());
+  }
+
+  /**
+   * Poll sticks and d-pad every frame (the Gamepad API has no input events)
+   */
+  _poll() {
+    const gamepads = this._getGamepads().filter(Boolean);
+
+    if (gamepads.length === 0) {
+      // Last gamepad disconnected - stop polling until the next one connects
+      this.pollId = null;
+      this.axis = 0;
+      this.heldKeys.clear();
+      return;
+    }
+
+    let axis = 0;
+    let upPressed = false;
+    let downPressed = false;
+
+    for (const gamepad of gamepads) {
+      for (const axisIndex of GAMEPAD_STICK_AXES) {
+        const value = gamepad.axes[axisIndex] || 0;
+        if (Math.abs(value) > Math.abs(axis)) axis = value;
+      }
+      const up = gamepad.buttons[GAMEPAD_DPAD_UP];
+      const down = gamepad.buttons[GAMEPAD_DPAD_DOWN];
+      upPressed = upPressed || Boolean(up && up.pressed);
+      downPressed = downPressed || Boolean(down && down.pressed);
+    }
+
+    this.axis = Math.abs(axis) > this.deadzone ? axis : 0;
+    this._syncButton('up', upPressed, -1);
+    this._syncButton('down', downPressed, 1);
+
+    if (this.axis !== 0) {
+      // Make sure the momentum loop is running so it picks up the stick velocity
+      this.navigator.startMomentum();
+    }
+
+    this.pollId = requestAnimationFrame(this._poll);
+  }
+
+  /**
+   * Treat d-pad buttons like arrow keys (press on edge, accelerate while held)
+   */
+  _syncButton(id, pressed, direction) {
+    if (pressed && !this.heldKeys.has(id)) {
+      this.press(id, direction, 'line');
+    } else if (!pressed) {
+      this.releaseKey(id);
+    }
+  }
+
+  /**
+   * Target velocity (px/ms) from the stick, falling back to held d-pad buttons
+   */
+  getHoldVelocity(currentTime) {
+    if (this.axis !== 0) {
+      const magnitude = (Math.abs(this.axis) - this.deadzone) / (1 - this.deadzone);
+      return Math.sign(this.axis) * magnitude * magnitude * this.maxHoldVelocity;
+    }
+    return super.getHoldVelocity(currentTime);
+  }
+
+  /**
+   * Check if a stick or d-pad button is currently held
+   */
+  isHolding() {
+    return this.axis !== 0 || super.isHolding();
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * KeyboardInput - Arrow keys, PageUp/PageDown, Space/Shift+Space, Home/End
+ *
+ * Each press glides one unit using the navigator's momentum model. Held keys
+ * accelerate the longer they are held instead of relying on OS auto-repeat.
+ */
+
+// Keys that scroll the feed and the unit of distance they cover
+const SCROLL_KEYS = {
+  ArrowDown: { direction: 1, unit: 'line' },
+  ArrowUp: { direction: -1, unit: 'line' },
+  PageDown: { direction: 1, unit: 'page' },
+  PageUp: { direction: -1, unit: 'page' },
+  ' ': { direction: 1, unit: 'page' }, // Shift+Space flips direction
+  Home: { direction: -1, unit: 'origin' },
+  End: { direction: 1, unit: 'end' }
+};
+
+// Focused elements that use every key themselves (typing, picking an option)
+const TEXT_ENTRY_SELECTOR = 'input, textarea, select, [contenteditable]';
+
+// Focused elements that only use their activation keys (Space presses a button, Enter follows a link)
+const PRESSABLE_SELECTOR = 'button, a[href], [role="button"]';
+const ACTIVATION_KEYS = [' ', 'Enter'];
+
+export class KeyboardInput {
+  constructor(options = {}) {
+    this.navigator = null;
+
+    // Configuration
+    this.lineDistance = options.lineDistance || 120; // px per arrow key press
+    this.pageRatio = options.pageRatio || 0.9; // Fraction of viewport per page key press
+    this.endScreens = options.endScreens || 10; // Viewports flung forward by End
+    this.holdDelay = options.holdDelay || 250; // ms before a held key starts accelerating
+    this.holdVelocity = options.holdVelocity || 1.2; // px/ms when a hold starts
+    this.holdAcceleration = options.holdAcceleration || 1.5; // Velocity gain per second held
+    this.maxHoldVelocity = options.maxHoldVelocity || 6; // px/ms cap
+
+    // State
+    this.heldKeys = new Map(); // key -> { direction, startTime }
+
+    // Bind methods
+    this._handleKeyDown = this._handleKeyDown.bind(this);
+    this._handleKeyUp = this._handleKeyUp.bind(this);
+    this._handleBlur = this._handleBlur.bind(this);
+  }
+
+  /**
+   * Attach event listeners (window level so no element needs focus)
+   */
+  attach(navigator) {
+    this.navigator = navigator;
+    window.addEventListener('keydown', this._handleKeyDown);
+    window.addEventListener('keyup', this._handleKeyUp);
+    window.addEventListener('blur', this._handleBlur);
+  }
+
+  /**
+   * Remove event listeners (cleanup)
+   */
+  detach() {
+    window.removeEventListener('keydown', this._handleKeyDown);
+    window.removeEventListener('keyup', this._handleKeyUp);
+    window.removeEventListener('blur', this._handleBlur);
+    this.heldKeys.clear();
+    this.navigator = null;
+  }
+
+  /**
+   * Handle key press
+   */
+  _handleKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this._isOwnKey(event.key, event.target)) return;
+
+    const key = SCROLL_KEYS[event.key];
+    if (!key) return;
+
+    event.preventDefault();
+
+    // Auto-repeat is ignored - holds accelerate inside the momentum loop instead
+    if (event.repeat || this.heldKeys.has(event.key)) return;
+
+    const direction = event.key === ' ' && event.shiftKey ? -key.direction : key.direction;
+    this.press(event.key, direction, key.unit);
+  }
+
+  /**
+   * Handle key release
+   */
+  _handleKeyUp(event) {
+    this.heldKeys.delete(event.key);
+  }
+
+  /**
+   * Drop held keys when the window loses focus (keyup never arrives)
+   */
+  _handleBlur() {
+    this.heldKeys.clear();
+  }
+
+  /**
+   * Check whether a key press belongs to the focused control rather than the feed
+   */
+  _isOwnKey(key, target) {
+    if (!target || !target.closest) return false;
+    if (target.isContentEditable || target.closest(TEXT_ENTRY_SELECTOR)) return true;
+    return ACTIVATION_KEYS.includes(key) && target.closest(PRESSABLE_SELECTOR) !== null;
+  }
+
+  /**
+   * Press a key: glide one unit and start tracking the hold
+   */
+  press(id, direction, unit) {
+    let distance;
+    if (unit === 'line') {
+      distance = direction * this.lineDistance;
+    } else if (unit === 'page') {
+      distance = direction * window.innerHeight * this.pageRatio;
+    } else if (unit === 'origin') {
+      distance = -this.navigator.getTotalDistance(); // Back to where distance tracking started
+    } else {
+      distance = direction * window.innerHeight * this.endScreens;
+    }
+
+    // Only line and page presses accelerate when held
+    if (unit === 'line' || unit === 'page') {
+      this.heldKeys.set(id, { direction, startTime: performance.now() });
+    }
+
+    this.navigator.addImpulse(distance);
+  }
+
+  /**
+   * Release a held key
+   */
+  releaseKey(id) {
+    this.heldKeys.delete(id);
+  }
+
+  /**
+   * Target velocity (px/ms) while a key is held, 0 otherwise
+   */
+  getHoldVelocity(currentTime) {
+    // Most recently pressed key wins
+    let held = null;
+    for (const key of this.heldKeys.values()) {
+      if (!held || key.startTime > held.startTime) held = key;
+    }
+    if (!held) return 0;
+
+    const holdTime = currentTime - held.startTime;
+    if (holdTime < this.holdDelay) return 0;
+
+    // Accelerate the longer the key is held
+    const seconds = (holdTime - this.holdDelay) / 1000;
+    const speed = Math.min(this.maxHoldVelocity, this.holdVelocity * (1 + this.holdAcceleration * seconds));
+    return held.direction * speed;
+  }
+
+  /**
+   * Check if a key is currently held
+   */
+  isHolding() {
+    return this.heldKeys.size > 0;
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * PointerInput - Vertical drag with momentum on release
+ *
+ * Built on Pointer Events with pointer capture, so mouse, pen and touch
+ * share the same velocity history and flick behaviour. Only one pointer
+ * drives the feed at a time; extra fingers are ignored.
+ *
+ * Drags are locked to an axis once they move axisLockDistance: mostly
+ * horizontal drags never scroll the feed and go to the navigator's swipe
+ * stream instead (carousels, channel switching). Presses that never reach
+ * axisLockDistance are taps. Vertical drags that start on a scroll region
+ * (an open comment thread) scroll it instead of the feed.
+ */
+export class PointerInput {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.navigator = null;
+
+    // Configuration
+    this.mouseButton = options.mouseButton !== undefined ? options.mouseButton : 0; // Primary button only
+    this.flickTimeout = options.flickTimeout || 100; // ms of stillness before release that cancels a flick
+    this.axisLockDistance = options.axisLockDistance || 10; // px moved before deciding vertical vs horizontal
+
+    // Pointer tracking
+    this.pointerId = null;
+    this.lastPointerY = null;
+    this.lastMoveTime = null;
+    this.startX = 0;
+    this.startY = 0;
+    this.axis = null; // null until locked, then 'y' (scrolling) or 'x' (swiping)
+    this.lastPointerX = null;
+    this.swipeVelocity = 0; // px/ms
+    this.scrollRegion = null; // Element vertical drags scroll instead of the feed
+
+    // Velocity tracking for momentum
+    this.velocity = 0;
+    this.velocityHistory = []; // Store recent velocities for smoothing
+    this.velocityHistoryMax = 5;
+
+    // Bind methods
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attach(navigator) {
+    this.navigator = navigator;
+    this.element = this.element || navigator.element;
+
+    // Captured pointers keep delivering events to the element even outside it
+    this.element.addEventListener('pointerdown', this._handlePointerDown);
+    this.element.addEventListener('pointermove', this._handlePointerMove);
+    this.element.addEventListener('pointerup', this._handlePointerUp);
+    this.element.addEventListener('pointercancel', this._handlePointerUp);
+    this.element.addEventListener('lostpointercapture', this._handlePointerUp);
+  }
+
+  /**
+   * Remove event listeners (cleanup)
+   */
+  detach() {
+    if (this.pointerId !== null && this.element.hasPointerCapture(this.pointerId)) {
+      this.element.releasePointerCapture(this.pointerId);
+    }
+    if (this.axis === 'x') {
+      this.navigator.endSwipe({ cancelled: true });
+    }
+
+    this.element.removeEventListener('pointerdown', this._handlePointerDown);
+    this.element.removeEventListener('pointermove', this._handlePointerMove);
+    this.element.removeEventListener('pointerup', this._handlePointerUp);
+    this.element.removeEventListener('pointercancel', this._handlePointerUp);
+    this.element.removeEventListener('lostpointercapture', this._handlePointerUp);
+
+    this.pointerId = null;
+    this.navigator = null;
+  }
+
+  /**
+   * Handle pointer down (mouse button, pen contact or finger)
+   */
+  _handlePointerDown(event) {
+    // Ignore secondary pointers while one is dragging
+    if (this.pointerId !== null) return;
+    if (event.pointerType === 'mouse' && event.button !== this.mouseButton) return;
+
+    // Prevents text selection and image dragging for mouse drags
+    event.preventDefault();
+
+    // Stop any ongoing momentum animation
+    this.navigator.stopMomentum();
+
+    this.pointerId = event.pointerId;
+    this.startX = event.clientX;
+    this.startY = event.clientY;
+    this.axis = null;
+    this.lastPointerY = event.clientY;
+    this.lastMoveTime = performance.now();
+    this.velocityHistory = [];
+    this.velocity = 0;
+
+    this.element.setPointerCapture(event.pointerId);
+
+    this.scrollRegion = this.navigator.findScrollRegion(event.clientX, event.clientY);
+    if (!this.scrollRegion) {
+      this.navigator.begin(this);
+    }
+  }
+
+  /**
+   * Handle pointer move (drag)
+   */
+  _handlePointerMove(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    if (this.axis === null) {
+      const dx = event.clientX - this.startX;
+      const dy = event.clientY - this.startY;
+      if (Math.hypot(dx, dy) < this.axisLockDistance) return;
+
+      this.axis = Math.abs(dx) > Math.abs(dy) ? 'x' : 'y';
+      if (this.axis === 'x') {
+        // Not a scroll - let go of the feed and swipe until the pointer lifts
+        this.navigator.release(this);
+        this.lastPointerX = this.startX;
+        this.swipeVelocity = 0;
+        this.navigator.beginSwipe(this.startX, this.startY);
+      }
+    }
+
+    if (this.axis === 'x') {
+      this._moveSwipe(event);
+      return;
+    }
+
+    const currentTime = performance.now();
+    const currentY = event.clientY;
+    const scrollDelta = this.lastPointerY - currentY; // Inverted: dragging up = scrolling down
+    const timeDelta = currentTime - this.lastMoveTime;
+
+    if (Math.abs(scrollDelta) < 0.5) return; // Ignore tiny movements
+
+    this.lastPointerY = currentY;
+    this.lastMoveTime = currentTime;
+
+    if (this.scrollRegion) {
+      this.scrollRegion.scrollTop += scrollDelta;
+      return;
+    }
+
+    // Calculate and store velocity (pixels per ms)
+    if (timeDelta > 0) {
+      const instantVelocity = scrollDelta / timeDelta;
+      this.velocityHistory.push(instantVelocity);
+      if (this.velocityHistory.length > this.velocityHistoryMax) {
+        this.velocityHistory.shift();
+      }
+      // Average recent velocities for smoother momentum
+      this.velocity = this.velocityHistory.reduce((a, b) => a + b, 0) / this.velocityHistory.length;
+    }
+
+    this.navigator.move(scrollDelta);
+  }
+
+  /**
+   * Handle pointer up / cancel / lost capture
+   */
+  _handlePointerUp(event) {
+    if (event.pointerId !== this.pointerId) return;
+
+    if (this.element.hasPointerCapture(event.pointerId)) {
+      this.element.releasePointerCapture(event.pointerId);
+    }
+    this.pointerId = null;
+    this.lastPointerY = null;
+
+    // Horizontal drags already let go of the feed
+    if (this.axis === 'x') {
+      this.navigator.endSwipe({ cancelled: event.type !== 'pointerup' });
+      return;
+    }
+
+    // Never moved far enough to pick an axis: a tap
+    if (this.axis === null) {
+      this.navigator.release(this);
+      if (event.type === 'pointerup') this.navigator.tap(event.clientX, event.clientY);
+      return;
+    }
+
+    // Scrolled a region, not the feed - no fling
+    if (this.scrollRegion) {
+      this.scrollRegion = null;
+      this.navigator.release(this);
+      return;
+    }
+
+    // Holding still before letting go is a drop, not a flick
+    const heldStill = performance.now() - this.lastMoveTime > this.flickTimeout;
+
+    // Start momentum if velocity is high enough
+    if (!heldStill && event.type === 'pointerup' &&
+        Math.abs(this.velocity) > this.navigator.minVelocity / 16) { // Convert to pixels/ms threshold
+      this.navigator.fling(this.velocity);
+    }
+
+    // Fires 'end' immediately if no momentum was started
+    this.navigator.release(this);
+  }
+
+  /**
+   * Forward horizontal travel to the navigator's swipe stream
+   */
+  _moveSwipe(event) {
+    const currentTime = performance.now();
+    const timeDelta = currentTime - this.lastMoveTime;
+
+    if (timeDelta > 0) {
+      const instantVelocity = (event.clientX - this.lastPointerX) / timeDelta;
+      this.swipeVelocity = this.swipeVelocity * 0.5 + instantVelocity * 0.5;
+    }
+    this.lastPointerX = event.clientX;
+    this.lastMoveTime = currentTime;
+
+    this.navigator.moveSwipe(event.clientX - this.startX, this.swipeVelocity);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * WheelInput - Mouse wheel / trackpad scrolling
+ *
+ * Listens on window with capture so scrolling works even when hovering
+ * over flashcards. Deltas are normalized to pixels, and each stream is
+ * classified as trackpad or mouse wheel:
+ * - Trackpad deltas are applied as-is (the OS already adds inertia)
+ * - Mouse wheel notches become momentum impulses so they glide smoothly
+ *
+ * A stream that starts over a scroll region that can move (an open comment
+ * thread) scrolls that region for the whole stream instead of the feed.
+ */
+
+// Pixel sizes for DOM_DELTA_LINE / DOM_DELTA_PAGE (Firefox reports lines)
+const LINE_HEIGHT = 40;
+const DELTA_MODE_LINE = 1;
+const DELTA_MODE_PAGE = 2;
+
+// Legacy wheelDelta is reported in multiples of 120 per mouse notch
+const WHEEL_DELTA_NOTCH = 120;
+
+/**
+ * Convert a wheel event's delta to pixels regardless of deltaMode
+ */
+export function normalizeWheel(event) {
+  let { deltaX, deltaY } = event;
+
+  if (event.deltaMode === DELTA_MODE_LINE) {
+    deltaX *= LINE_HEIGHT;
+    deltaY *= LINE_HEIGHT;
+  } else if (event.deltaMode === DELTA_MODE_PAGE) {
+    deltaX *= window.innerWidth;
+    deltaY *= window.innerHeight;
+  }
+
+  return { deltaX, deltaY };
+}
+
+export class WheelInput {
+  constructor(options = {}) {
+    this.navigator = null;
+
+    // Configuration
+    this.streamTimeout = options.streamTimeout || 200; // ms gap that starts a new wheel stream
+    this.smoothWheel = options.smoothWheel !== undefined ? options.smoothWheel : true;
+
+    // Device detection state
+    this.device = null; // 'trackpad' | 'wheel' for the current stream
+    this.lastEventTime = 0;
+    this.scrollRegion = null; // Element the current stream scrolls instead of the feed
+
+    // Bind methods
+    this._handleWheel = this._handleWheel.bind(this);
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attach(navigator) {
+    this.navigator = navigator;
+    window.addEventListener('wheel', this._handleWheel, { passive: false, capture: true });
+  }
+
+  /**
+   * Remove event listeners (cleanup)
+   */
+  detach() {
+    // Remove window listener with same capture flag
+    window.removeEventListener('wheel', this._handleWheel, { capture: true });
+    this.navigator = null;
+  }
+
+  /**
+   * Get the device detected for the latest wheel stream ('trackpad', 'wheel' or null)
+   */
+  getDevice() {
+    return this.device;
+  }
+
+  /**
+   * Handle mouse wheel scroll
+   */
+  _handleWheel(event) {
+    event.preventDefault();
+
+    const now = performance.now();
+    const newStream = now - this.lastEventTime > this.streamTimeout;
+    this.lastEventTime = now;
+
+    // Get scroll delta in pixels (positive = scroll down = clockwise)
+    const { deltaY } = normalizeWheel(event);
+    if (deltaY === 0) return;
+
+    // Decided once per stream, so reaching the end of a thread doesn't start moving the feed
+    if (newStream) {
+      this.scrollRegion = this.navigator.findScrollRegion(event.clientX, event.clientY, Math.sign(deltaY));
+    }
+    if (this.scrollRegion) {
+      this.scrollRegion.scrollTop += deltaY;
+      return;
+    }
+
+    this._classify(event, newStream);
+
+    if (this.device === 'wheel' && this.smoothWheel) {
+      // Each notch glides through the navigator's momentum model
+      this.navigator.addImpulse(deltaY);
+      return;
+    }
+
+    this.navigator.begin(this);
+    this.navigator.move(deltaY);
+
+    // Wheel has no end event - release after a quiet period
+    this.navigator.releaseAfter(this);
+  }
+
+  /**
+   * Decide whether the current stream comes from a trackpad or a mouse wheel
+   *
+   * Evidence is checked per event; ambiguous events keep the stream's
+   * previous classification so one odd delta doesn't flip it mid-scroll.
+   */
+  _classify(event, newStream) {
+    const evidence = this._getEvidence(event);
+
+    if (evidence) {
+      this.device = evidence;
+    } else if (newStream || !this.device) {
+      this.device = 'wheel';
+    }
+  }
+
+  /**
+   * Get the device a single event points to, or null if inconclusive
+   */
+  _getEvidence(event) {
+    // Line/page deltas only come from wheels
+    if (event.deltaMode !== 0) return 'wheel';
+
+    // Horizontal movement alongside vertical is a two-finger pan
+    if (event.deltaX !== 0) return 'trackpad';
+
+    // Chrome/Safari: trackpads report wheelDeltaY as exactly -3 × deltaY,
+    // mouse notches as multiples of 120
+    if (event.wheelDeltaY) {
+      if (event.wheelDeltaY === -3 * event.deltaY) return 'trackpad';
+      if (event.wheelDeltaY % WHEEL_DELTA_NOTCH === 0) return 'wheel';
+    }
+
+    // Fractional or tiny deltas are trackpad fingers or inertia tails
+    if (!Number.isInteger(event.deltaY) || Math.abs(event.deltaY) < 4) return 'trackpad';
+
+    return null;
+  }
+}
@@ -1,44 +1,175 @@
 import './style.css'
 import { MilestoneCelebration } from './MilestoneCelebration.js'
 import { ScrollNavigator } from './ScrollNavigator.js'
+import { CircularNavigator } from './CircularNavigator.js'
 import { InfiniteScroll } from './InfiniteScroll.js'
+import { ChannelSwitcher } from './ChannelSwitcher.js'
+import { InteractionStore } from './InteractionStore.js'
+import { AudioMixer } from './AudioMixer.js'
 import { IntroSequence } from './IntroSequence.js'
+import { AutoScroller } from './AutoScroller.js'
+import { EngagementTracker } from './EngagementTracker.js'
+import { RecommenderPanel } from './RecommenderPanel.js'
+import { DebugOverlay } from './DebugOverlay.js'
+import { randomSeed } from './random.js'
+import { CalibrationScreen } from './Calibration.js'
+import { NavigatorRecorder } from './NavigatorRecorder.js'
+import { ReplayNavigator } from './ReplayNavigator.js'
+import { DeepLink } from './DeepLink.js'
+import { fetchJson } from './fetchJson.js'
 
 // Get DOM elements
 const interactionArea = document.getElementById('interactionArea');
 
-const navigator = new ScrollNavigator(interactionArea);
+// URL options - each feature below notes the parameter it reads
+const params = new URLSearchParams(window.location.search);
 
-// Initialize milestone celebration
-// Uses same bubble images as intro: bubble.png, bubble_1.png, etc.
-const milestoneCelebration = new MilestoneCelebration({
-  duration: 3500
-});
+/**
+ * Create the input navigator
+ * ?replay=<url> plays a recorded session instead of live input (?replaySpeed=2, ?replayLoop)
+ * ?input=dial uses the rotary dial, everything else scrolls
+ */
+async function createNavigator() {
+  if (params.has('replay')) {
+    return ReplayNavigator.load(params.get('replay'), {
+      speed: Number(params.get('replaySpeed')) || 1,
+      loop: params.has('replayLoop')
+    });
+  }
 
-// NOTE: Don't connect milestone celebration yet - wait for intro to complete
+  if (params.get('input') === 'dial') {
+    return new CircularNavigator(interactionArea, { showTrail: false });
+  }
 
-// Log screen info on first rotation
-let hasLoggedScreenInfo = false;
+  return new ScrollNavigator(interactionArea);
+}
 
-navigator.on('rotate', (data) => {
-  // Log screen info once
-  if (!hasLoggedScreenInfo) {
+/**
+ * Load the channel list (falls back to the single default feed)
+ */
+async function loadChannels() {
+  try {
+    const { channels } = await fetchJson('/channels.json');
+    if (Array.isArray(channels) && channels.length > 0) return channels;
+  } catch (error) {
+    console.error('Failed to load channels, using the default feed:', error);
+  }
+  return [{ id: 'for-you', title: 'For You', manifest: '/content-manifest.json', flashcards: '/flashcards.json' }];
+}
+
+/**
+ * Log screen info on first rotation
+ */
+function logScreenInfoOnce(navigator) {
+  const logScreenInfo = () => {
     const screenInfo = ScrollNavigator.estimatePixelsPerMeter();
     console.log('Screen Info:');
+    console.log('  Calibrated:', screenInfo.calibrated);
     console.log('  Estimated PPI:', screenInfo.estimatedPPI);
     console.log('  Device Pixel Ratio:', screenInfo.devicePixelRatio);
     console.log('  Pixels per meter:', screenInfo.pixelsPerMeter.toFixed(2));
     console.log('---');
-    hasLoggedScreenInfo = true;
-  }
-});
+    navigator.off('rotate', logScreenInfo);
+  };
+  navigator.on('rotate', logScreenInfo);
+}
 
 // Initialize components
 async function initializeApp() {
   try {
-    // Initialize infinite scroll (includes gen-z overlays)
-    const infiniteScroll = new InfiniteScroll();
+    // ?calibrate: match an on-screen box to a real object so "meters scrolled" is physical
+    if (params.has('calibrate')) {
+      await new CalibrationScreen().open();
+    }
+
+    const navigator = await createNavigator();
+    const isReplay = navigator instanceof ReplayNavigator;
+    logScreenInfoOnce(navigator);
+
+    // ?seed=<value> reproduces a session: feed order, gaps, emojis and confetti
+    // Replays reuse the recorded seed so the feed matches the recording
+    const recordedSeed = isReplay ? navigator.getSeed() : undefined;
+    const seed = recordedSeed !== undefined ? recordedSeed : (params.get('seed') || randomSeed());
+    console.log(`Seed: ${seed} (add ?seed=${seed} to reproduce this feed)`);
+
+    // ?debug shows the seed on screen
+    if (params.has('debug')) {
+      new DebugOverlay().set('seed', seed);
+    }
+
+    // Initialize milestone celebration
+    // Uses same bubble images as intro: bubble.png, bubble_1.png, etc.
+    // NOTE: Don't connect milestone celebration yet - wait for intro to complete
+    const milestoneCelebration = new MilestoneCelebration({
+      duration: 3500,
+      seed
+    });
+
+    // ?channel=<id>&post=<index>&id=<post id> opens a shared post, skipping the intro
+    // (the URL keeps following the focused post, see DeepLink); replays reuse the recorded link
+    const link = isReplay ? (navigator.getLink() || DeepLink.parse('')) : DeepLink.parse();
+
+    // Likes and bookmarks, saved per post id and shared by every channel
+    const interactions = await new InteractionStore().open();
+
+    // Sound, off until the first tap; only the focused post is heard
+    // ?bgAudio=<0-1> mixes background videos in at that volume (muted by default)
+    const audio = new AudioMixer({ backgroundLevel: Number(params.get('bgAudio')) || 0 });
+
+    // One infinite scroll (includes gen-z overlays) per channel in channels.json
+    // ?paging switches to TikTok-style snap-to-post scrolling
+    // ?decoders=N caps how many videos may decode at once (default 6)
+    // ?algo=off keeps the plain shuffled order, ?algo=debug explains each recommended post
+    // (replays always use the shuffled order: recommendations follow real-time dwell, so would drift)
+    const channelList = await loadChannels();
+    const startIndex = Math.max(0, channelList.findIndex(channel => channel.id === link.channel));
+    const channels = channelList.map((channel, index) => ({
+      id: channel.id,
+      title: channel.title,
+      feed: new InfiniteScroll({
+        manifestUrl: channel.manifest,
+        flashcardsUrl: channel.flashcards,
+        snapToPosts: params.has('paging'),
+        recommend: params.get('algo') !== 'off' && !isReplay,
+        maxDecoders: Number(params.get('decoders')) || undefined,
+        active: index === startIndex,
+        interactions,
+        audio,
+        seed
+      })
+    }));
+    const channelSwitcher = new ChannelSwitcher(channels, { activeIndex: startIndex });
+
+    // The intro plays on the starting channel; the others load when first opened
+    const infiniteScroll = channels[startIndex].feed;
     await infiniteScroll.init();
+    DeepLink.land(infiniteScroll, link);
+
+    let recommenderPanel = null;
+    const showRecommenderPanel = (feed) => {
+      if (recommenderPanel) recommenderPanel.destroy();
+      recommenderPanel = feed.recommender && params.get('algo') === 'debug'
+        ? new RecommenderPanel(feed, feed.recommender)
+        : null;
+    };
+    showRecommenderPanel(infiniteScroll);
+    channelSwitcher.on('change', ({ channel }) => {
+      if (channel.feed.isInitialized) showRecommenderPanel(channel.feed);
+    });
+
+    // Hand a loaded channel to the user: input, plus engagement for its recommender
+    // (engagement only counts once the user is scrolling)
+    const connectChannel = ({ feed }) => {
+      feed.connectNavigator(navigator);
+      if (feed.recommender) {
+        new EngagementTracker(feed, feed.recommender).connectNavigator(navigator);
+      }
+    };
+
+    // ?record: capture navigator input for replay (save with brainrotRecorder.download())
+    const recorder = params.has('record')
+      ? new NavigatorRecorder(navigator, { meta: { seed: infiniteScroll.seed, paging: params.has('paging'), link } })
+      : null;
 
     // NOTE: Don't connect navigator yet - intro will control scrolling first
 
@@ -46,21 +177,63 @@ async function initializeApp() {
     const introSequence = new IntroSequence({
       // Bubble images: bubble.png, bubble_1.png, bubble_2.png, etc.
       // Add more images to /content/bubbles/ and they'll be picked randomly
-      autoScrollSpeed: 60,
+      autoScrollSpeed: 3600, // pixels per second
       bubbleDelay: 500,
+      onAccept: () => {
+        if (recorder) recorder.mark('intro-accept');
+      },
       onComplete: () => {
         // After intro, connect navigator for user control
-        infiniteScroll.connectNavigator(navigator);
+        channelSwitcher.markReady(startIndex);
+        channelSwitcher.getReadyChannels().forEach(connectChannel);
+        channelSwitcher.on('ready', (channel) => {
+          connectChannel(channel);
+          if (channel === channelSwitcher.getActive()) showRecommenderPanel(channel.feed);
+        });
+        channelSwitcher.connectNavigator(navigator);
         milestoneCelebration.connectNavigator(navigator);
+        audio.connectNavigator(navigator);
+        new DeepLink(channelSwitcher, { seed: infiniteScroll.seed }).connect();
         console.log('Intro complete - user control enabled');
+
+        // ?attract[=drift|doom|constant]: kiosk attract mode, the feed scrolls itself
+        // after 20s without input and hands control back on the next touch
+        if (params.has('attract')) {
+          const attractScroller = new AutoScroller(channelSwitcher, {
+            profile: params.get('attract') || 'drift',
+            speed: 150,
+            resumeDelay: 20000
+          });
+          attractScroller.connectNavigator(navigator);
+          attractScroller.start();
+          attractScroller.pauseUntilIdle();
+        }
       }
     });
 
     // Connect intro to infinite scroll for auto-scroll control
     introSequence.connectInfiniteScroll(infiniteScroll);
 
-    // Start the intro sequence
-    introSequence.start();
+    // Start the intro sequence (a linked post is already on screen - go straight to it)
+    if (link.post !== null) {
+      introSequence.skip();
+    } else {
+      introSequence.start();
+    }
+
+    // Recording and replay share the same time origin: the start of the intro
+    if (recorder) {
+      recorder.start();
+      window.brainrotRecorder = recorder;
+      console.log('Recording input - run brainrotRecorder.download() to save it');
+    }
+
+    if (isReplay) {
+      navigator.on('mark', (mark) => {
+        if (mark.name === 'intro-accept') introSequence.handleAccept();
+      });
+      navigator.play();
+    }
 
     console.log('App initialized with intro sequence');
   } catch (error) {
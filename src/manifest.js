@@ -0,0 +1,222 @@
+/**
+ * Content manifest schema (version 2) and validation
+ *
+ * {
+ *   "version": 2,
+ *   "items": [{
+ *     "id": "genz-0",                 // unique, required
+ *     "type": "image" | "video",      // required
+ *     "src": "/content/...",          // required
+ *     "isGenZ": true,                 // front-layer post (default false)
+ *     "flashcardIndex": 0,            // required for gen-z posts
+ *     "width": 956, "height": 1128,   // intrinsic size in px (reserves layout)
+ *     "duration": 5.06,               // seconds, videos only
+ *     "poster": "/content/...",       // still shown before a video loads
+ *     "tags": ["attention"],          // topics for recommendations
+ *     "weight": 1,                    // how often recommendations pick it, relative (0 = never shown)
+ *     "author": "genzzz",             // username shown on the post
+ *     "alt": "...",                   // alt text
+ *     "captions": "/content/....vtt", // WebVTT captions, videos only
+ *     "variants": [{                  // resized copies, images only (scripts/render-genz-images.js)
+ *       "src": "/content/...", "type": "image/avif" | "image/webp" | "image/png" | "image/jpeg", "width": 480
+ *     }],
+ *     "enabled": true                 // false keeps the entry but skips it
+ *   }]
+ * }
+ *
+ * Gen-z carousel posts list their media in "slides" instead of type/src:
+ *
+ *   "slides": [{
+ *     "type": "image", "src": "/content/...",  // required
+ *     "width", "height", "duration", "poster", "captions", "alt", "variants",
+ *     "flashcardIndex": 2                      // text overlay for this slide
+ *   }]
+ *
+ * The first slide defaults to the post's flashcardIndex, and its media fields
+ * are copied onto the post so code that reads item.src keeps working.
+ *
+ * Legacy manifests (a bare array of {type, src, isGenZ, flashcardIndex})
+ * are upgraded on load. Invalid entries are dropped with one error each, so a
+ * bad entry never renders as a blank slot.
+ */
+
+export const MANIFEST_VERSION = 2;
+
+const MEDIA_TYPES = ['image', 'video'];
+const VARIANT_TYPES = ['image/avif', 'image/webp', 'image/png', 'image/jpeg'];
+
+/**
+ * Validate a manifest and normalize its items
+ * Returns { items, errors, skipped } - items are valid, enabled and filled with defaults
+ */
+export function parseManifest(data) {
+  const errors = [];
+  let entries;
+
+  if (Array.isArray(data)) {
+    // Version 1: bare array without ids
+    entries = data.map(entry => ({ id: entry && entry.src, ...entry }));
+  } else if (data && data.version === MANIFEST_VERSION && Array.isArray(data.items)) {
+    entries = data.items;
+  } else {
+    const version = data && data.version;
+    return { items: [], errors: [`Unsupported manifest (version ${version}, expected ${MANIFEST_VERSION})`], skipped: 0 };
+  }
+
+  const items = [];
+  const seenIds = new Set();
+  let skipped = 0;
+
+  entries.forEach((entry, index) => {
+    const label = entry && typeof entry.id === 'string' ? `item ${index} "${entry.id}"` : `item ${index}`;
+
+    if (entry && entry.enabled === false) {
+      skipped++;
+      return;
+    }
+
+    const problems = validateManifestItem(entry);
+    if (entry && seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+
+    if (problems.length > 0) {
+      errors.push(`${label}: ${problems.join('; ')}`);
+      return;
+    }
+
+    seenIds.add(entry.id);
+    items.push(normalizeManifestItem(entry));
+  });
+
+  return { items, errors, skipped };
+}
+
+/**
+ * List everything wrong with one manifest entry (empty if valid)
+ */
+export function validateManifestItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['not an object'];
+  }
+
+  const problems = [];
+
+  if (!isNonEmptyString(item.id)) problems.push('id must be a non-empty string');
+
+  if (item.isGenZ !== undefined && typeof item.isGenZ !== 'boolean') problems.push('isGenZ must be a boolean');
+  if (item.isGenZ && !isFlashcardIndex(item.flashcardIndex)) {
+    problems.push('flashcardIndex must be a non-negative integer for gen-z items');
+  }
+
+  if (item.slides === undefined) {
+    problems.push(...validateMedia(item));
+  } else if (!item.isGenZ) {
+    problems.push('slides are only allowed on gen-z items');
+  } else if (!Array.isArray(item.slides) || item.slides.length === 0) {
+    problems.push('slides must be a non-empty array');
+  } else if (item.type !== undefined || item.src !== undefined) {
+    problems.push('carousel posts take type and src from their slides');
+  } else {
+    item.slides.forEach((slide, index) => {
+      if (!slide || typeof slide !== 'object' || Array.isArray(slide)) {
+        problems.push(`slide ${index}: not an object`);
+        return;
+      }
+      const slideProblems = validateMedia(slide);
+      if (slide.flashcardIndex !== undefined && !isFlashcardIndex(slide.flashcardIndex)) {
+        slideProblems.push('flashcardIndex must be a non-negative integer');
+      }
+      slideProblems.forEach(problem => problems.push(`slide ${index}: ${problem}`));
+    });
+  }
+
+  if (item.tags !== undefined && !(Array.isArray(item.tags) && item.tags.every(isNonEmptyString))) {
+    problems.push('tags must be an array of strings');
+  }
+  if (item.weight !== undefined && !(typeof item.weight === 'number' && item.weight >= 0)) {
+    problems.push('weight must be a number >= 0');
+  }
+  if (item.author !== undefined && !isNonEmptyString(item.author)) problems.push('author must be a non-empty string');
+  if (item.enabled !== undefined && typeof item.enabled !== 'boolean') problems.push('enabled must be a boolean');
+
+  return problems;
+}
+
+/**
+ * List everything wrong with the media fields of an item or slide
+ */
+function validateMedia(media) {
+  const problems = [];
+  const isVideo = media.type === 'video';
+
+  if (!MEDIA_TYPES.includes(media.type)) problems.push(`type must be one of ${MEDIA_TYPES.join(', ')}`);
+  if (!isNonEmptyString(media.src)) problems.push('src must be a non-empty string');
+
+  if (media.width !== undefined || media.height !== undefined) {
+    if (!isPositiveNumber(media.width) || !isPositiveNumber(media.height)) {
+      problems.push('width and height must both be positive numbers');
+    }
+  }
+
+  if (media.duration !== undefined) {
+    if (!isVideo) problems.push('duration is only allowed on videos');
+    else if (!isPositiveNumber(media.duration)) problems.push('duration must be a positive number of seconds');
+  }
+  if (media.captions !== undefined) {
+    if (!isVideo) problems.push('captions are only allowed on videos');
+    else if (!isNonEmptyString(media.captions)) problems.push('captions must be a URL string');
+  }
+
+  if (media.variants !== undefined) {
+    if (isVideo) problems.push('variants are only allowed on images');
+    else if (!Array.isArray(media.variants) || !media.variants.every(isVariant)) {
+      problems.push(`variants must be an array of { src, type (${VARIANT_TYPES.join(', ')}), width }`);
+    }
+  }
+
+  if (media.poster !== undefined && !isNonEmptyString(media.poster)) problems.push('poster must be a URL string');
+  if (media.alt !== undefined && typeof media.alt !== 'string') problems.push('alt must be a string');
+
+  return problems;
+}
+
+/**
+ * Fill in defaults for optional fields
+ */
+function normalizeManifestItem(item) {
+  if (item.slides) {
+    const slides = item.slides.map((slide, index) => ({
+      ...slide,
+      alt: slide.alt || '',
+      flashcardIndex: index === 0 && slide.flashcardIndex === undefined ? item.flashcardIndex : slide.flashcardIndex
+    }));
+    item = { ...slides[0], ...item, slides }; // The post's own fields win over the cover's
+  }
+
+  return {
+    ...item,
+    isGenZ: item.isGenZ || false,
+    tags: item.tags || [],
+    weight: item.weight !== undefined ? item.weight : 1,
+    alt: item.alt || '',
+    enabled: true
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isFlashcardIndex(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isVariant(value) {
+  return Boolean(value) && isNonEmptyString(value.src) && VARIANT_TYPES.includes(value.type) &&
+    Number.isInteger(value.width) && value.width > 0;
+}
@@ -0,0 +1,74 @@
+/**
+ * Seedable pseudo-random numbers
+ *
+ * Same seed, same sequence - every random choice in the feed, the milestone
+ * celebrations and the render scripts goes through here so a session can be
+ * reproduced from its seed (replays, bug reports). Named streams derive
+ * independent sequences from one seed, so e.g. confetti never shifts the
+ * feed order.
+ */
+
+/**
+ * Create a random() function (mulberry32) returning floats in [0, 1)
+ * stream: optional name for an independent sequence from the same seed
+ */
+export function createRandom(seed, stream) {
+  let state = stream === undefined
+    ? normalizeSeed(seed)
+    : normalizeSeed(`${normalizeSeed(seed)}:${stream}`);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Turn a number or string seed into a 32-bit unsigned integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  // Numeric strings (e.g. from ?seed=123) mean the same as the number
+  if (typeof seed === 'string' && /^\d+$/.test(seed)) {
+    return Number(seed) >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a random element of an array
+ */
+export function randomItem(array, random) {
+  return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ */
+export function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Pick a fresh seed for a new session
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}